@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+const { run } = require("../src/cli/cli");
+
+// Cancel the running upload or download on Ctrl+C
+const controller = new AbortController();
+process.once("SIGINT", () => controller.abort());
+
+run(process.argv.slice(2), { signal: controller.signal }).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,4 @@
+import * as disFile from "./index.js";
+
+export * from "./index.js";
+export default disFile;
@@ -0,0 +1,343 @@
+/// <reference types="node" />
+
+import { Readable, Writable } from "stream";
+import { Server } from "http";
+
+/**
+ * Progress of an upload or a download, passed to `onProgress`.
+ */
+export interface Progress {
+    /** Bytes transferred so far. */
+    bytes: number;
+    /** Bytes to transfer, or `null` if unknown. */
+    totalBytes: number | null;
+    /** Index of the chunk the last bytes belong to. */
+    chunkIndex: number;
+    /** Chunks to transfer, or `null` if unknown. */
+    totalChunks: number | null;
+    /** Current throughput. */
+    bytesPerSecond: number;
+}
+
+/**
+ * A message as returned by a transport.
+ */
+export interface TransportMessage {
+    id: string;
+    content?: string;
+    attachments: Array<{ id?: string; filename: string; url: string; size?: number }>;
+}
+
+export interface TransportRequestOptions {
+    signal?: AbortSignal;
+}
+
+/**
+ * Where messages are stored, see `DiscordTransport`. Failed requests reject with a `RequestError` holding
+ * the HTTP `status`, or a `NotFoundError` for a missing message or attachment.
+ */
+export interface Transport {
+    postAttachment(webhookURL: string, data: Buffer, fileName: string, options?: TransportRequestOptions & { content?: string; contentType?: string }): Promise<TransportMessage>;
+    postMessage(webhookURL: string, content: string, options?: TransportRequestOptions): Promise<TransportMessage>;
+    getMessage(webhookURL: string, messageID: string, options?: TransportRequestOptions): Promise<TransportMessage>;
+    deleteMessage(webhookURL: string, messageID: string, options?: TransportRequestOptions): Promise<void>;
+    fetchAttachment(url: string, options?: TransportRequestOptions): Promise<AsyncIterable<Buffer>>;
+}
+
+/**
+ * Transport sending the messages through Discord webhooks, the default one.
+ */
+export class DiscordTransport implements Transport {
+    constructor(options?: { client?: unknown });
+    postAttachment(webhookURL: string, data: Buffer, fileName: string, options?: TransportRequestOptions & { content?: string; contentType?: string }): Promise<TransportMessage>;
+    postMessage(webhookURL: string, content: string, options?: TransportRequestOptions): Promise<TransportMessage>;
+    getMessage(webhookURL: string, messageID: string, options?: TransportRequestOptions): Promise<TransportMessage>;
+    deleteMessage(webhookURL: string, messageID: string, options?: TransportRequestOptions): Promise<void>;
+    fetchAttachment(url: string, options?: TransportRequestOptions): Promise<Readable>;
+}
+
+/**
+ * Transport keeping messages and attachments in memory, e.g. for tests. Webhook URLs can be any string.
+ */
+export class MemoryTransport implements Transport {
+    /** The number of messages stored. */
+    readonly size: number;
+    postAttachment(webhookURL: string, data: Buffer, fileName: string, options?: TransportRequestOptions & { content?: string; contentType?: string }): Promise<TransportMessage>;
+    postMessage(webhookURL: string, content: string, options?: TransportRequestOptions): Promise<TransportMessage>;
+    getMessage(webhookURL: string, messageID: string, options?: TransportRequestOptions): Promise<TransportMessage>;
+    deleteMessage(webhookURL: string, messageID: string, options?: TransportRequestOptions): Promise<void>;
+    fetchAttachment(url: string, options?: TransportRequestOptions): Promise<Readable>;
+}
+
+/**
+ * Stores the checkpoints of resumable uploads.
+ */
+export interface CheckpointStore {
+    get(sessionId: string): Promise<object | null | undefined>;
+    set(sessionId: string, checkpoint: object): Promise<void>;
+    delete(sessionId: string): Promise<void>;
+}
+
+export type Compression = "gzip" | "brotli" | "auto" | "none" | false | null;
+
+export interface UploadOptions {
+    /** Size of each chunk in bytes, overriding the one of the instance. */
+    chunkSize?: number;
+    /** Chunks uploaded at the same time (default 2). */
+    maxPendingChunks?: number;
+    /** A 32-byte key or a passphrase to encrypt the chunks with. */
+    encryptionKey?: Buffer | string;
+    compression?: Compression;
+    onProgress?: (progress: Progress) => void;
+    /** Size of the stream in bytes, if known, for the progress totals. */
+    totalBytes?: number;
+    signal?: AbortSignal;
+    /** Delete the chunks already posted when the upload is cancelled. */
+    deleteOnAbort?: boolean;
+}
+
+export interface UploadSessionOptions extends Omit<UploadOptions, "compression"> {
+    checkpointStore?: CheckpointStore;
+    sessionId?: string;
+}
+
+export interface DownloadOptions {
+    /** The key or passphrase the file was encrypted with. */
+    encryptionKey?: Buffer | string;
+    /** Keep the chunks already written to the file at the path and only download the rest. */
+    resume?: boolean;
+    onProgress?: (progress: Progress) => void;
+    signal?: AbortSignal;
+    /** Chunks fetched at the same time (default 3). */
+    concurrency?: number;
+}
+
+export interface DisFileOptions extends UploadOptions, Omit<DownloadOptions, "resume"> {
+    /** Size of each chunk of uploads in bytes (default 20 MB). */
+    chunkSize?: number;
+    webhookStrategy?: "round-robin" | "least-busy";
+    /** Failed uploads in a row after which a webhook is no longer used (default 3). */
+    maxWebhookFailures?: number;
+    transport?: Transport;
+}
+
+export interface UploadResult {
+    /** ID of the message holding the manifest, needed to download the file. */
+    primaryID: string;
+    fileName: string;
+    /** IDs of the chunk messages, in order. */
+    fileChunkIDs: string[];
+}
+
+export interface FileInfo {
+    primaryID: string;
+    fileName: string;
+    /** Size of the original file, `null` for old uploads. */
+    size: number | null;
+    /** Size as stored, after compression. */
+    storedSize: number | null;
+    mimeType: string;
+    chunkCount: number;
+    chunkSize: number | null;
+    chunkIDs: string[];
+    /** An HMAC keyed with the encryption key for encrypted files. */
+    sha256: string | null;
+    encrypted: boolean;
+    compression: "gzip" | "brotli" | null;
+    createdAt: Date;
+    uploadedAt: Date;
+    manifestVersion: number;
+}
+
+export interface VerifyResult {
+    primaryID: string;
+    fileName: string;
+    size: number;
+    chunks: number;
+    /** `false` when the file was uploaded without checksums. */
+    verified: boolean;
+}
+
+export interface DeleteResult {
+    primaryID: string;
+    fileName: string;
+    deletedChunks: number;
+    /** Files of a directory deleted with `recursive`. */
+    deletedFiles?: number;
+    /** Primary IDs of the files of a directory left behind, empty with `recursive`. */
+    keptFileIDs?: string[];
+}
+
+export interface ChunkUrl {
+    index: number;
+    id: string;
+    url: string;
+    /** `null` if the URL does not expire. */
+    expiresAt: Date | null;
+}
+
+export interface DirectoryFile {
+    /** Path relative to the directory, with `/` separators. */
+    path: string;
+    /** `null` for empty files. */
+    primaryID: string | null;
+    size: number;
+    /** An HMAC keyed with the encryption key for encrypted directories. */
+    sha256: string;
+    mode: number;
+    /** ISO date. */
+    mtime: string;
+}
+
+export interface DirectoryUploadOptions extends UploadOptions {
+    /** Primary ID of an earlier upload of the directory, whose unchanged files are reused. */
+    previousID?: string;
+    onFileUploaded?: (file: DirectoryFile & { skipped: boolean; fileIndex: number; totalFiles: number }) => void;
+}
+
+export interface DirectoryUploadResult {
+    primaryID: string;
+    directoryName: string;
+    files: DirectoryFile[];
+    uploadedFiles: number;
+    skippedFiles: number;
+}
+
+export interface DirectoryDownloadOptions extends Omit<DownloadOptions, "resume"> {
+    onFileDownloaded?: (file: { path: string; primaryID: string | null; fileIndex: number; totalFiles: number }) => void;
+}
+
+export interface DirectoryDownloadResult {
+    primaryID: string;
+    directoryName: string;
+    path: string;
+    files: number;
+}
+
+/**
+ * A resumable upload, see `DisFile.createUploadSession`.
+ */
+export interface UploadSession {
+    /** The ID of the session, needed to resume it. */
+    readonly id: string;
+    /** The number of chunks already uploaded. */
+    readonly completedChunks: number;
+    start(): Promise<UploadResult>;
+}
+
+/**
+ * Uploads and downloads files through Discord webhooks.
+ */
+export class DisFile {
+    /** A number as `options` is taken as the `chunkSize`. */
+    constructor(webhookURL: string | string[], options?: DisFileOptions | number);
+
+    uploadFileStream(fileStream: Readable, fileName: string, options?: UploadOptions): Promise<UploadResult>;
+    uploadFile(filePath: string, fileName: string, options?: UploadOptions): Promise<UploadResult>;
+    uploadDirectory(dirPath: string, options?: DirectoryUploadOptions): Promise<DirectoryUploadResult>;
+    createUploadSession(filePath: string, fileName: string, options?: UploadSessionOptions): Promise<UploadSession>;
+    resumeUpload(sessionId: string, options?: UploadSessionOptions): Promise<UploadResult>;
+
+    downloadFile(filePrimaryID: string, filePath: string | Writable, options?: DownloadOptions): Promise<string>;
+    downloadDirectory(directoryPrimaryID: string, outDir: string, options?: DirectoryDownloadOptions): Promise<DirectoryDownloadResult>;
+    downloadFileStream(filePrimaryID: string, options?: DownloadOptions): Readable;
+    downloadFileBuffer(filePrimaryID: string, options?: DownloadOptions): Promise<Buffer>;
+    /** `end` is inclusive, like HTTP `Range`. */
+    readRangeStream(filePrimaryID: string, start: number, end?: number, options?: DownloadOptions): Readable;
+    readRange(filePrimaryID: string, start: number, end?: number, options?: DownloadOptions): Promise<Buffer>;
+
+    verify(filePrimaryID: string, options?: DownloadOptions): Promise<VerifyResult>;
+    /** `recursive` also deletes the files of a directory. */
+    deleteFile(filePrimaryID: string, options?: { recursive?: boolean }): Promise<DeleteResult>;
+    getFileInfo(filePrimaryID: string): Promise<FileInfo>;
+    getChunkUrls(filePrimaryID: string, options?: { concurrency?: number; signal?: AbortSignal }): Promise<ChunkUrl[]>;
+}
+
+export interface ServerOptions extends DisFileOptions {
+    webhookURL: string | string[];
+    disposition?: "attachment" | "inline";
+}
+
+/**
+ * Creates an HTTP gateway serving the stored files, call `listen` on it.
+ */
+export function createServer(options: ServerOptions): Server;
+
+export interface DisFileErrorOptions {
+    code?: string;
+    cause?: unknown;
+}
+
+export class DisFileError extends Error {
+    constructor(message: string, options?: DisFileErrorOptions);
+    /** A machine readable error code. */
+    code: string;
+    cause?: unknown;
+}
+
+export class ValidationError extends DisFileError {
+    code: "VALIDATION_ERROR";
+}
+
+export class RequestError extends DisFileError {
+    constructor(message: string, options?: DisFileErrorOptions & { status?: number | null });
+    /** HTTP status of the response, `null` if there was none. */
+    status: number | null;
+}
+
+export class RateLimitError extends RequestError {
+    constructor(message: string, options?: DisFileErrorOptions & { retryAfter?: number; global?: boolean });
+    code: "RATE_LIMIT_ERROR";
+    /** How long Discord asked to wait, in milliseconds. */
+    retryAfter: number;
+    global: boolean;
+}
+
+export class NotFoundError extends DisFileError {
+    constructor(message: string, options?: DisFileErrorOptions & { status?: number | null });
+    code: "NOT_FOUND";
+    status: number | null;
+}
+
+export class ChunkUploadError extends DisFileError {
+    constructor(message: string, options: DisFileErrorOptions & { chunkIndex: number });
+    code: "CHUNK_UPLOAD_ERROR";
+    chunkIndex: number;
+}
+
+export class ChunkDownloadError extends DisFileError {
+    constructor(message: string, options?: DisFileErrorOptions & { chunkIndex?: number | null; chunkID?: string });
+    code: "CHUNK_DOWNLOAD_ERROR";
+    chunkIndex: number | null;
+    chunkID?: string;
+}
+
+export class IntegrityError extends DisFileError {
+    constructor(message: string, options?: DisFileErrorOptions & { chunkIndex?: number | null; chunkID?: string | null; expected?: string; actual?: string });
+    code: "INTEGRITY_ERROR";
+    /** `null` when the whole file is bad. */
+    chunkIndex: number | null;
+    chunkID: string | null;
+    expected?: string;
+    actual?: string;
+}
+
+export class ManifestParseError extends DisFileError {
+    code: "MANIFEST_PARSE_ERROR";
+}
+
+export class DecryptionError extends DisFileError {
+    constructor(message: string, options?: DisFileErrorOptions & { chunkIndex?: number | null });
+    code: "DECRYPTION_ERROR";
+    chunkIndex: number | null;
+}
+
+export class AbortError extends DisFileError {
+    constructor(message?: string, options?: DisFileErrorOptions);
+    code: "ABORT_ERR";
+}
+
+export const Utils: {
+    /** Creates a Readable stream of a buffer, to upload it with `uploadFileStream`. */
+    createChunkedStream(fileBuffer: Buffer): Readable;
+};
@@ -1,8 +1,38 @@
 const DisFile = require("./src/classes/DisFile")
+const { createServer } = require("./src/server/server")
+const DiscordTransport = require("./src/transport/discord-transport")
+const MemoryTransport = require("./src/transport/memory-transport")
 const { createChunkedStream } = require("./src/utils")
+const {
+    DisFileError,
+    ValidationError,
+    RequestError,
+    RateLimitError,
+    NotFoundError,
+    ChunkUploadError,
+    ChunkDownloadError,
+    IntegrityError,
+    ManifestParseError,
+    DecryptionError,
+    AbortError
+} = require("./src/errors")
 
 module.exports = {
     DisFile,
+    createServer,
+    DiscordTransport,
+    MemoryTransport,
+    DisFileError,
+    ValidationError,
+    RequestError,
+    RateLimitError,
+    NotFoundError,
+    ChunkUploadError,
+    ChunkDownloadError,
+    IntegrityError,
+    ManifestParseError,
+    DecryptionError,
+    AbortError,
     Utils: {
         createChunkedStream
     }
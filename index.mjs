@@ -0,0 +1,23 @@
+// ESM entry, re-exporting the CommonJS build so both module systems share the same classes (e.g. for `instanceof` checks on errors)
+import disFile from "./index.js";
+
+export const {
+    DisFile,
+    createServer,
+    DiscordTransport,
+    MemoryTransport,
+    DisFileError,
+    ValidationError,
+    RequestError,
+    RateLimitError,
+    NotFoundError,
+    ChunkUploadError,
+    ChunkDownloadError,
+    IntegrityError,
+    ManifestParseError,
+    DecryptionError,
+    AbortError,
+    Utils
+} = disFile;
+
+export default disFile;
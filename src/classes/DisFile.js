@@ -1,8 +1,17 @@
 const fs = require("fs")
+const stream = require("stream");
 
-const upload = require("../upload/upload-file");
-const { checkFileStream, getChunks, chunkSize } = require("../utils");
-const { download } = require("../download/download-file");
+const { upload } = require("../upload/upload-file");
+const UploadSession = require("../upload/upload-session");
+const { deleteFile } = require("../delete/delete-file");
+const { getFileInfo } = require("../info/file-info");
+const { uploadDirectory } = require("../upload/upload-directory");
+const { downloadDirectory } = require("../download/download-directory");
+const { validateFileStream, sliceStream, chunkSize: defaultChunkSize } = require("../utils");
+const { DisFileError, ValidationError } = require("../errors");
+const { download, downloadStream, rangeStream, verify, getChunkUrls } = require("../download/download-file");
+const { WebhookPool } = require("../webhook-pool");
+const { resolveCodec, compressStream } = require("../compression");
 
 /**
  * DisFile class for managing file uploads/download to Discord via webhooks.
@@ -10,55 +19,119 @@ const { download } = require("../download/download-file");
  * @class DisFile
  */
 class DisFile {
-    // WebhookURL - Private field
-    #webhookURL;
+    // Webhooks to send/get files through - Private field
+    #webhooks;
+    // Default options of every upload/download - Private field
+    #options;
 
     /**
     * Creates an instance of the DisFile class.
     * 
-    * @param {string} webhookURL - The Discord webhook URL to send/get files to/from.
-    * @param {number} chunkSize - The size of each chunk to split the file into (default is 20MB).
+    * @param {string|Array<string>} webhookURL - The Discord webhook URL to send/get files to/from. With several URLs (e.g. of webhooks in
+    *                                           different channels), the chunks of uploads are spread over them to share the rate limits.
+    * @param {Object|number} [options] - Default options of every upload/download, each method accepts the same options to override them.
+    *                                    A number is taken as the `chunkSize`, as earlier versions accepted.
+    * @param {number} [options.chunkSize=20971520] - The size of each chunk of uploads in bytes (20 MB by default), it must fit in a Discord attachment.
+    *                                              Downloads read the chunk size of each file from its manifest.
+    * @param {Buffer|string} [options.encryptionKey] - A 32-byte key or a passphrase. Uploads are encrypted with AES-256-GCM and downloads decrypted with it.
+    * @param {string} [options.webhookStrategy="round-robin"] - How chunks pick a webhook, `round-robin` or `least-busy`.
+    * @param {number} [options.maxWebhookFailures=3] - How many failed uploads in a row make the pool stop using a webhook.
+    * @param {Object} [options.transport] - Where messages are stored, a `DiscordTransport` by default. A `MemoryTransport` keeps them
+    *                                       in memory (e.g. for tests), or pass any object with the same methods.
+    * @throws {ValidationError} - If the options are neither an object nor a number, or the chunk size is invalid.
     */
-    constructor(webhookURL) {
-        this.#webhookURL = webhookURL;
+    constructor(webhookURL, options = {}) {
+        // Earlier versions took the chunk size as the second argument
+        if (typeof options === "number") options = { chunkSize: options };
+        if (options === null || typeof options !== "object" || Array.isArray(options)) {
+            throw new ValidationError(`options must be an object or a chunk size, got ${options === null ? "null" : typeof options}.`);
+        }
+
+        this.#webhooks = WebhookPool.from(webhookURL, {
+            strategy: options.webhookStrategy,
+            maxFailures: options.maxWebhookFailures,
+            transport: options.transport
+        });
+        this.#options = options;
+
+        // Fail early on an invalid default chunk size
+        this.#getChunkSize();
+    }
+
+    /**
+     * Gets the chunk size of an upload, from its options or the default options of the instance.
+     *
+     * @param {Object} [options] - The upload options.
+     * @returns {number} - The size of each chunk in bytes.
+     * @throws {ValidationError} - If the chunk size is not a positive integer.
+     */
+    #getChunkSize(options = {}) {
+        const size = { ...this.#options, ...options }.chunkSize ?? defaultChunkSize;
+        if (!Number.isInteger(size) || size <= 0) {
+            throw new ValidationError(`chunkSize must be a positive integer, got ${size}.`);
+        }
+        return size;
     }
 
     /**
      * Uploads the provided file stream to an external service.
+     * The stream is re-sliced into chunks of `chunkSize` bytes, and each chunk is uploaded as soon as it is filled.
      * 
      * @param {stream.Readable} fileStream - The file stream to upload.
      * @param {string} fileName - The name to be used for the file during the upload (including file extension).
-     * @returns {Promise<Object>} - A promise that resolves with the uploaded file details or rejects with an error message.
+     * @param {Object} [options] - Upload options.
+     * @param {number} [options.chunkSize] - The size of each chunk in bytes, overriding the one of the instance.
+     * @param {number} [options.maxPendingChunks=2] - The maximum number of chunks being uploaded at the same time (and so held in memory).
+     * @param {Buffer|string} [options.encryptionKey] - A 32-byte key or a passphrase to encrypt the chunks with.
+     * @param {string} [options.compression] - Compress the file before chunking with `gzip` or `brotli`, or `auto` to use gzip unless
+     *                                         the file is already compressed (e.g. images and archives). Downloads decompress it.
+     * @param {Function} [options.onProgress] - Called after each chunk is uploaded with the `bytes` sent, `totalBytes`, `chunkIndex`, `totalChunks`
+     *                                          and current `bytesPerSecond` (the totals are `null` when the size of the stream is unknown
+     *                                          or when compressing, the bytes sent are compressed).
+     * @param {number} [options.totalBytes] - The size of the stream in bytes, if known, used for the totals of the progress.
+     * @param {AbortSignal} [options.signal] - A signal to cancel the upload, including the requests in flight.
+     * @param {boolean} [options.deleteOnAbort=false] - Whether to delete the chunks already posted when the upload is cancelled.
+     * @returns {Promise<Object>} - A promise that resolves with the uploaded file details. It rejects with a ValidationError for an invalid
+     *                            or empty stream, a ChunkUploadError naming the chunk that failed, or another DisFileError.
      */
-    uploadFileStream(fileStream, fileName) {
+    uploadFileStream(fileStream, fileName, options = {}) {
         return new Promise(async (resolve, reject) => {
             try {
-                // Validate the file stream using the `checkFileStream` function
-                const validationStream = checkFileStream(fileStream);
-                // If the validation fails, reject the promise with the validation error message
-                if (validationStream) return reject(validationStream);
-
-                // Gets the chunks to upload them separately
-                const chunks = await getChunks(fileStream)
+                // Validate the file stream, an empty or failing stream rejects the upload once it is read
+                const source = validateFileStream(fileStream);
 
                 // Check if the fileName is empty
                 if (!fileName || fileName.trim() === "") {
-                    return reject("fileName cannot be empty.");
+                    return reject(new ValidationError("fileName cannot be empty."));
                 }
 
+                const chunkSize = this.#getChunkSize(options);
+
+                // Stop reading the source when the upload is cancelled
+                const { signal, compression } = { ...this.#options, ...options };
+                if (signal) stream.addAbortSignal(signal, fileStream);
+
+                // Compress the whole stream before it is sliced, the size of the compressed data is not known up front
+                const codec = resolveCodec(compression, fileName);
+                const compressed = codec ? compressStream(source, codec) : null;
+                const sizes = compressed ? { totalBytes: undefined, compressionParams: compressed.params } : {};
+
+                // Slices the stream into chunks that are uploaded separately as they are read
+                const chunks = sliceStream(compressed ? compressed.stream : source, chunkSize);
+
                 // If the stream is valid and contains data, proceed with uploading the stream
-                upload(this.#webhookURL, chunks, fileName)
+                upload(this.#webhooks, chunks, fileName, { ...this.#options, ...options, ...sizes, chunkSize })
                     .then(fileDetails => {
                         // Resolve the promise with the uploaded file details if the upload is successful
                         resolve(fileDetails);
                     })
                     .catch(err => {
                         // Reject the promise if there is an error during the upload process
-                        reject("Upload failed: " + err);
+                        reject(err);
                     });
             } catch (error) {
-                // Catch any unexpected errors that occur during the execution of the function
-                reject("Unexpected error: " + error.message);
+                // Catch any errors raised while setting up the upload, e.g. an invalid stream
+                reject(error);
             }
         });
     }
@@ -68,28 +141,29 @@ class DisFile {
      * 
      * @param {string} filePath - The path to the file to be uploaded.
      * @param {string} fileName - The name to be used for the file during the upload (including file extension).
-     * @returns {Promise<Object>} - A promise that resolves with the details of the uploaded file or rejects with an error message.
+     * @param {Object} [options] - Upload options, see `uploadFileStream`.
+     * @returns {Promise<Object>} - A promise that resolves with the details of the uploaded file or rejects with a DisFileError.
      */
-    uploadFile(filePath, fileName) {
+    uploadFile(filePath, fileName, options = {}) {
         return new Promise((resolve, reject) => {
             try {
                 // Check if the file exists at the specified filePath synchronously
                 // If the file doesn't exist, reject the promise with an appropriate error message
                 if (!fs.existsSync(filePath)) {
-                    return reject("File doesn't exist.");
+                    return reject(new ValidationError(`File ${filePath} doesn't exist.`));
                 }
 
                 // Check if the fileName is empty
                 if (!fileName || fileName.trim() === "") {
-                    return reject("fileName cannot be empty.");
+                    return reject(new ValidationError("fileName cannot be empty."));
                 }
 
                 // Create a readable stream from the file at the given filePath
-                const fileStream = fs.createReadStream(filePath, { highWaterMark: chunkSize });
+                const fileStream = fs.createReadStream(filePath);
 
-                // Call the uploadFileStream method to upload the file stream
+                // Call the uploadFileStream method to upload the file stream, the file size gives the totals of the progress
                 // This method returns a Promise, so we handle it using .then() and .catch()
-                this.uploadFileStream(fileStream, fileName)
+                this.uploadFileStream(fileStream, fileName, { totalBytes: fs.statSync(filePath).size, ...options })
                     .then(fileDetails => {
                         // If the upload is successful, resolve the promise with the file details
                         resolve(fileDetails);
@@ -100,49 +174,177 @@ class DisFile {
                     });
             } catch (error) {
                 // Catch any unexpected errors (e.g., file access issues) and reject the promise
-                reject("An error occurred: " + error.message);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Uploads every file of a directory, then a directory manifest recording the relative path, size, mode and mtime of each file.
+     * A file whose content was already uploaded, in this directory or by the `previousID` upload, is not uploaded again.
+     * Symbolic links are skipped.
+     * 
+     * @param {string} dirPath - The path to the directory to upload.
+     * @param {Object} [options] - Upload options, see `uploadFileStream`, used for each file.
+     * @param {string} [options.previousID] - The primary ID of an earlier upload of the directory, to reuse its files whose content is unchanged.
+     * @param {Function} [options.onFileUploaded] - Called after each file with its `path`, `primaryID`, whether it was `skipped`, its `fileIndex` and the `totalFiles`.
+     * @returns {Promise<Object>} - A promise that resolves with the `primaryID` of the directory, the `directoryName`, the recorded `files`
+     *                            and the number of `uploadedFiles` and `skippedFiles`, or rejects with a DisFileError.
+     */
+    uploadDirectory(dirPath, options = {}) {
+        const uploadFile = (filePath, fileName, fileOptions) => this.uploadFile(filePath, fileName, fileOptions);
+        return uploadDirectory(this.#webhooks, dirPath, uploadFile, { ...this.#options, ...options });
+    }
+
+    /**
+     * Creates a resumable upload of a file. Every uploaded chunk is recorded in a checkpoint,
+     * so if the process dies the upload can be continued with `resumeUpload(session.id)`.
+     * Call `start()` on the returned session to upload the file.
+     * 
+     * @param {string} filePath - The path to the file to be uploaded.
+     * @param {string} fileName - The name to be used for the file during the upload (including file extension).
+     * @param {Object} [options] - Upload options, see `uploadFileStream` (except `compression`).
+     * @param {Object} [options.checkpointStore] - The store for the checkpoint, an object with async `get(id)`, `set(id, checkpoint)`
+     *                                             and `delete(id)` methods (default stores JSON files in the OS temp directory).
+     * @param {string} [options.sessionId] - The ID of the session (default is a random UUID).
+     * @returns {Promise<UploadSession>} - A promise that resolves with the upload session.
+     */
+    createUploadSession(filePath, fileName, options = {}) {
+        return new Promise((resolve, reject) => {
+            // Check if the file exists at the specified filePath synchronously
+            if (!fs.existsSync(filePath)) {
+                return reject(new ValidationError(`File ${filePath} doesn't exist.`));
             }
+
+            // Check if the fileName is empty
+            if (!fileName || fileName.trim() === "") {
+                return reject(new ValidationError("fileName cannot be empty."));
+            }
+
+            // Resuming skips chunks by index, compressed chunks are only the same if the compressor output is
+            if (resolveCodec({ ...this.#options, ...options }.compression, fileName)) {
+                return reject(new ValidationError("Compression is not supported by resumable uploads."));
+            }
+
+            const chunkSize = this.#getChunkSize(options);
+            UploadSession.create(this.#webhooks, filePath, fileName, { ...this.#options, ...options, chunkSize })
+                .then(resolve)
+                .catch(reject);
         });
     }
 
     /**
-    * Downloads a file and saves it to the specified path.
+     * Continues an interrupted upload session, sending only the chunks missing from its checkpoint.
+     * 
+     * @param {string} sessionId - The ID of the upload session.
+     * @param {Object} [options] - Upload options, the same `checkpointStore` and `encryptionKey` as when the session was created are needed.
+     * @returns {Promise<Object>} - A promise that resolves with the details of the uploaded file.
+     */
+    resumeUpload(sessionId, options = {}) {
+        return UploadSession.resume(this.#webhooks, sessionId, { ...this.#options, ...options })
+            .then(session => session.start());
+    }
+
+    /**
+    * Downloads a file and writes it to the specified path or Writable stream.
+    * Chunks are written as they arrive, so the whole file is never held in memory.
+    * With `resume`, a partially written file at the path is continued instead of overwritten. The file is only opened
+    * once data arrives, so a download failing before it (e.g. for an unknown ID) leaves an existing file as it was.
     * 
     * @param {string} filePrimaryID - The primary ID of the file to retrieve and save.
-    * @param {string} filePath - The path where the file should be saved once downloaded.
-    * @returns {Promise<string>} - A Promise that resolves with a success message when the file is saved, or rejects with an error message.
+    * @param {string|stream.Writable} filePath - The path where the file should be saved once downloaded, or a Writable stream to write it to
+    *                                           (destroyed with the error if the download fails).
+    * @param {Object} [options] - Download options.
+    * @param {Buffer|string} [options.encryptionKey] - The key or passphrase the file was encrypted with.
+    * @param {boolean} [options.resume=false] - Whether to keep the chunks already written to the file at the path and only download the rest.
+    * @param {Function} [options.onProgress] - Called as data arrives with the `bytes` received, `totalBytes`, `chunkIndex`, `totalChunks` and current `bytesPerSecond`.
+    * @param {AbortSignal} [options.signal] - A signal to cancel the download, including the requests in flight.
+    * @param {number} [options.concurrency=3] - The number of chunks fetched at the same time (and so held in memory).
+    * @returns {Promise<string>} - A Promise that resolves with a success message when the file is saved, or rejects with a DisFileError
+    *          (a NotFoundError if the file does not exist, or one with the code `WRITE_ERROR` if saving fails).
     */
-    downloadFile(filePrimaryID, filePath) {
+    downloadFile(filePrimaryID, filePath, options = {}) {
         return new Promise((resolve, reject) => {
-            // Call the downloadFileBuffer function to get the file buffer
-            this.downloadFileBuffer(filePrimaryID).then(buffer => {
-                // Write the buffer to the specified file path
-                fs.writeFile(filePath, buffer, (err) => {
-                    if (err) {
-                        // Reject the promise with an error if saving the file fails
-                        reject(new Error('Failed to save the image: ' + err.message));
-                    } else {
+            const isWritable = filePath instanceof stream.Writable;
+            const resume = Boolean(options.resume) && !isWritable;
+
+            const source = this.downloadFileStream(filePrimaryID, resume ? { ...options, resumeFile: filePath } : options);
+
+            // Remember errors of the download itself to tell them apart from write errors
+            let downloadError = null;
+            source.once('error', err => downloadError = err);
+
+            // Wait for the first data before opening the file, so a download failing early (e.g. an unknown ID) leaves an existing file as it was
+            const iterator = source[Symbol.asyncIterator]();
+            iterator.next().then(first => {
+                // Use the given Writable as is, otherwise open a write stream to the file path
+                // When resuming, the file was truncated to its last whole chunk and is appended to
+                const destination = isWritable ? filePath : fs.createWriteStream(filePath, { flags: resume ? "a" : "w" });
+                const data = (async function* () {
+                    try {
+                        for (let next = first; !next.done; next = await iterator.next()) yield next.value;
+                    } finally {
+                        await iterator.return();
+                    }
+                })();
+
+                stream.pipeline(data, destination, (err) => {
+                    if (!err) {
                         // Resolve the promise with a success message if the file is saved
-                        resolve('Image saved successfully');
+                        return resolve('Image saved successfully');
+                    }
+                    if (downloadError) {
+                        // Reject the promise if there is an error fetching or processing the file
+                        return reject(downloadError);
                     }
+                    // Reject the promise with an error if saving the file fails
+                    reject(new DisFileError('Failed to save the image: ' + err.message, { code: "WRITE_ERROR", cause: err }));
                 });
             }).catch(err => {
-                // Reject the promise if there is an error fetching or processing the file
-                reject(err);
+                // Reject the promise if the file cannot be fetched, nothing was written
+                // A given Writable is destroyed like a failing pipeline would, so it is not left open
+                if (isWritable) filePath.destroy(downloadError || err);
+                reject(downloadError || err);
             });
         });
     }
 
+    /**
+    * Downloads a directory uploaded with `uploadDirectory` and rebuilds its tree, with the recorded modes and mtimes, in `outDir`.
+    * 
+    * @param {string} directoryPrimaryID - The primary ID of the directory.
+    * @param {string} outDir - The directory to write the files to, created if needed.
+    * @param {Object} [options] - Download options, see `downloadFile`, used for each file.
+    * @param {Function} [options.onFileDownloaded] - Called after each file with its `path`, `primaryID`, its `fileIndex` and the `totalFiles`.
+    * @returns {Promise<Object>} - A Promise that resolves with the `primaryID`, `directoryName`, `path` and number of `files` written,
+    *          or rejects with a DisFileError (one with the code `WRITE_ERROR` if saving fails).
+    */
+    downloadDirectory(directoryPrimaryID, outDir, options = {}) {
+        return downloadDirectory(this.#webhooks, directoryPrimaryID, outDir, { ...this.#options, ...options });
+    }
+
+    /**
+    * Downloads a file as a Readable stream that emits each chunk in order as it arrives.
+    * 
+    * @param {string} filePrimaryID - The primary ID of the file to retrieve.
+    * @param {Object} [options] - Download options, see `downloadFile`.
+    * @returns {stream.Readable} - A Readable stream of the file data.
+    */
+    downloadFileStream(filePrimaryID, options = {}) {
+        return downloadStream(this.#webhooks, filePrimaryID, { ...this.#options, ...options });
+    }
+
     /**
     * Downloads a file buffer by using the `download` function to fetch and merge chunks of the file.
     * 
     * @param {string} filePrimaryID - The primary ID of the file to retrieve and merge its chunks.
+    * @param {Object} [options] - Download options, see `downloadFile`.
     * @returns {Promise<Buffer>} - A Promise that resolves to a Buffer containing the downloaded file data.
     */
-    downloadFileBuffer(filePrimaryID) {
+    downloadFileBuffer(filePrimaryID, options = {}) {
         return new Promise((resolve, reject) => {
             // Call the `download` function to fetch and merge the file chunks
-            download(this.#webhookURL, filePrimaryID).then(downloadedFile => {
+            download(this.#webhooks, filePrimaryID, { ...this.#options, ...options }).then(downloadedFile => {
                 // Resolve the promise with the merged file buffer once the download is complete
                 resolve(downloadedFile);
             }).catch(err => {
@@ -151,6 +353,94 @@ class DisFile {
             });
         });
     }
+
+    /**
+    * Reads a byte range of a stored file as a Readable stream. Only the chunks covering the range are fetched,
+    * using the chunk sizes recorded at upload; files uploaded without them are downloaded entirely and sliced.
+    * 
+    * @param {string} filePrimaryID - The primary ID of the file to read.
+    * @param {number} start - The position of the first byte to read.
+    * @param {number} [end] - The position of the last byte to read, inclusive like HTTP `Range` (default is the end of the file).
+    * @param {Object} [options] - Download options, see `downloadFile`.
+    * @returns {stream.Readable} - A Readable stream of the data of the range.
+    */
+    readRangeStream(filePrimaryID, start, end, options = {}) {
+        return rangeStream(this.#webhooks, filePrimaryID, start, end, { ...this.#options, ...options });
+    }
+
+    /**
+    * Reads a byte range of a stored file into a Buffer, see `readRangeStream`.
+    * 
+    * @param {string} filePrimaryID - The primary ID of the file to read.
+    * @param {number} start - The position of the first byte to read.
+    * @param {number} [end] - The position of the last byte to read, inclusive like HTTP `Range` (default is the end of the file).
+    * @param {Object} [options] - Download options, see `downloadFile`.
+    * @returns {Promise<Buffer>} - A Promise that resolves to a Buffer containing the data of the range.
+    */
+    readRange(filePrimaryID, start, end, options = {}) {
+        return new Promise((resolve, reject) => {
+            const buffers = [];
+
+            // Collect the data of the range and combine it once it ends
+            this.readRangeStream(filePrimaryID, start, end, options)
+                .on('data', data => buffers.push(data))
+                .on('end', () => resolve(Buffer.concat(buffers)))
+                .on('error', err => reject(err));
+        });
+    }
+
+    /**
+    * Downloads a stored file and checks every chunk and the whole file against the sizes and
+    * checksums recorded at upload, without saving the data.
+    * 
+    * @param {string} filePrimaryID - The primary ID of the file to verify.
+    * @param {Object} [options] - Download options, see `downloadFile`.
+    * @returns {Promise<Object>} - A Promise that resolves with the verification result (`primaryID`, `fileName`, `size`, `chunks`, `verified`),
+    *          or rejects with an IntegrityError naming the bad chunk.
+    */
+    verify(filePrimaryID, options = {}) {
+        return verify(this.#webhooks, filePrimaryID, { ...this.#options, ...options });
+    }
+
+    /**
+    * Deletes a stored file: each chunk message and then the manifest message. For a directory only the directory manifest
+    * is deleted unless `recursive` is set, its files may be shared with other uploads of the directory.
+    * 
+    * @param {string} filePrimaryID - The primary ID of the file to delete.
+    * @param {Object} [options] - Deletion options.
+    * @param {boolean} [options.recursive=false] - Whether to also delete the files of a directory.
+    * @returns {Promise<Object>} - A Promise that resolves with the `primaryID`, `fileName` and number of `deletedChunks`. For a directory also
+    *          the number of `deletedFiles` and the primary IDs of the files left behind (`keptFileIDs`).
+    */
+    deleteFile(filePrimaryID, options = {}) {
+        return deleteFile(this.#webhooks, filePrimaryID, options);
+    }
+
+    /**
+    * Gets the metadata of a stored file from its manifest, without downloading its data.
+    * 
+    * @param {string} filePrimaryID - The primary ID of the file.
+    * @returns {Promise<Object>} - A Promise that resolves with the `primaryID`, `fileName`, `size`, `storedSize`, `mimeType`, `chunkCount`, `chunkSize`,
+    *          `chunkIDs`, `sha256`, `encrypted`, `compression`, `createdAt`, `uploadedAt` and `manifestVersion` of the file.
+    */
+    getFileInfo(filePrimaryID) {
+        return getFileInfo(this.#webhooks, filePrimaryID);
+    }
+
+    /**
+    * Gets the current attachment URL of each chunk of a stored file. Discord CDN URLs expire,
+    * call this again after `expiresAt` to get fresh ones.
+    *
+    * @param {string} filePrimaryID - The primary ID of the file.
+    * @param {Object} [options] - Options.
+    * @param {number} [options.concurrency=3] - The number of chunk messages fetched at the same time.
+    * @param {AbortSignal} [options.signal] - A signal to cancel the requests.
+    * @returns {Promise<Array<Object>>} - A Promise that resolves with the `index`, `id`, `url` and `expiresAt` date
+    *          (`null` if the URL does not expire) of each chunk, in chunk order.
+    */
+    getChunkUrls(filePrimaryID, options = {}) {
+        return getChunkUrls(this.#webhooks, filePrimaryID, { ...this.#options, ...options });
+    }
 }
 
 module.exports = DisFile
\ No newline at end of file
@@ -0,0 +1,220 @@
+const fs = require("fs")
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const DisFile = require("../classes/DisFile");
+
+const USAGE = `Usage: dis-file <command> [options]
+
+Commands:
+  upload <path>                  Upload a file and print its primary ID
+  download <primaryID> [out]     Download a file (default out is its stored name)
+  info <primaryID>               Print the metadata of a stored file
+  delete <primaryID>             Delete a stored file
+
+Options:
+  -w, --webhook <url>            Webhook URL, repeat to spread uploads over several webhooks
+                                 (default: $DIS_FILE_WEBHOOK_URL, comma-separated, or the config file)
+  -c, --config <path>            Config file (default: ./.dis-file.json, then ~/.dis-file.json)
+  -n, --name <name>              Name to store the uploaded file under (default: its base name)
+  -p, --passphrase <passphrase>  Encrypt/decrypt with a passphrase (default: $DIS_FILE_PASSPHRASE)
+  -z, --compress <codec>         Compress uploads with gzip, brotli or auto (skips compressed formats)
+  -r, --resume                   Resume a partially written download
+      --json                     Print the result as JSON
+  -q, --quiet                    Do not print the progress bar
+  -h, --help                     Show this help`;
+
+const OPTIONS = {
+    webhook: { type: "string", short: "w", multiple: true },
+    config: { type: "string", short: "c" },
+    name: { type: "string", short: "n" },
+    passphrase: { type: "string", short: "p" },
+    compress: { type: "string", short: "z" },
+    resume: { type: "boolean", short: "r" },
+    json: { type: "boolean" },
+    quiet: { type: "boolean", short: "q" },
+    help: { type: "boolean", short: "h" }
+};
+
+/**
+ * Raised for invalid command-line usage, so the help can be printed.
+ *
+ * @class UsageError
+ */
+class UsageError extends Error {
+    code = "USAGE_ERROR";
+}
+
+/**
+ * Formats a number of bytes for humans.
+ *
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} - The formatted size, e.g. `12.3 MB`.
+ */
+function formatBytes(bytes) {
+    const units = ["B", "KB", "MB", "GB", "TB"];
+    let unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? bytes : bytes.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Creates an `onProgress` callback drawing a progress bar on a terminal.
+ *
+ * @param {stream.Writable} stderr - The stream to draw on.
+ * @param {string} label - The label shown in front of the bar.
+ * @returns {Function} - The `onProgress` callback.
+ */
+function createProgressBar(stderr, label) {
+    const width = 30;
+    return ({ bytes, totalBytes, bytesPerSecond }) => {
+        const ratio = totalBytes ? Math.min(1, bytes / totalBytes) : 0;
+        const filled = Math.round(ratio * width);
+        const bar = totalBytes ? `[${"#".repeat(filled)}${"-".repeat(width - filled)}] ${Math.floor(ratio * 100)}% ` : "";
+        const size = totalBytes ? `${formatBytes(bytes)}/${formatBytes(totalBytes)}` : formatBytes(bytes);
+        stderr.write(`\r${label} ${bar}${size} ${formatBytes(bytesPerSecond)}/s\x1b[K`);
+    };
+}
+
+/**
+ * Reads the webhook URLs from the flags, the environment or a config file, in that order.
+ *
+ * @param {Object} values - The parsed flags.
+ * @param {Object} env - The environment variables.
+ * @returns {Array<string>} - The webhook URLs.
+ * @throws {UsageError} - If no webhook URL is configured, or the config file is not valid JSON.
+ */
+function getWebhookURLs(values, env) {
+    if (values.webhook) return values.webhook;
+    if (env.DIS_FILE_WEBHOOK_URL) return env.DIS_FILE_WEBHOOK_URL.split(",").map(url => url.trim()).filter(Boolean);
+
+    const candidates = values.config
+        ? [values.config]
+        : [path.resolve(".dis-file.json"), path.join(os.homedir(), ".dis-file.json")];
+    for (const candidate of candidates) {
+        if (!fs.existsSync(candidate)) {
+            if (values.config) throw new UsageError(`Config file ${candidate} doesn't exist.`);
+            continue;
+        }
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(candidate, "utf8"));
+        } catch (err) {
+            throw new UsageError(`Config file ${candidate} is not valid JSON: ${err.message}`);
+        }
+        if (config.webhookURL) return [].concat(config.webhookURL);
+    }
+
+    throw new UsageError("No webhook URL: pass --webhook, set DIS_FILE_WEBHOOK_URL or add webhookURL (a URL or a list) to .dis-file.json.");
+}
+
+/**
+ * Runs the command-line tool.
+ *
+ * @param {Array<string>} argv - The arguments, without the node and script paths.
+ * @param {Object} [io] - The streams and environment to use (default is the ones of the process).
+ * @param {stream.Writable} [io.stdout] - Where results are printed.
+ * @param {stream.Writable} [io.stderr] - Where the progress bar and errors are printed.
+ * @param {Object} [io.env] - The environment variables.
+ * @param {Object} [io.transport] - The transport messages go through, see `DisFile` (default is Discord).
+ * @param {AbortSignal} [io.signal] - A signal to cancel the running command, e.g. on Ctrl+C.
+ * @returns {Promise<number>} - A promise that resolves with the exit code.
+ */
+async function run(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const env = io.env || process.env;
+
+    let values, positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const [command, ...args] = positionals;
+    if (values.help || !command) {
+        stdout.write(USAGE + "\n");
+        return values.help ? 0 : 2;
+    }
+
+    const print = (result, text) => stdout.write((values.json ? JSON.stringify(result, null, 2) : text) + "\n");
+    const showProgress = !values.quiet && Boolean(stderr.isTTY);
+    const progress = label => showProgress ? createProgressBar(stderr, label) : undefined;
+
+    try {
+        const passphrase = values.passphrase || env.DIS_FILE_PASSPHRASE;
+        const disFile = new DisFile(getWebhookURLs(values, env), { transport: io.transport, encryptionKey: passphrase || undefined });
+
+        switch (command) {
+            case "upload": {
+                if (args.length !== 1) throw new UsageError("upload takes the path of the file to upload.");
+                const fileName = values.name || path.basename(args[0]);
+
+                const fileDetails = await disFile.uploadFile(args[0], fileName, {
+                    compression: values.compress,
+                    signal: io.signal,
+                    onProgress: progress("Uploading")
+                });
+                if (showProgress) stderr.write("\n");
+                print(fileDetails, fileDetails.primaryID);
+                break;
+            }
+            case "download": {
+                if (args.length < 1 || args.length > 2) throw new UsageError("download takes a primary ID and an optional output path.");
+
+                // Default to the stored name, without any directories it may contain
+                const out = args[1] || path.basename((await disFile.getFileInfo(args[0])).fileName);
+                await disFile.downloadFile(args[0], out, { resume: values.resume, signal: io.signal, onProgress: progress("Downloading") });
+                if (showProgress) stderr.write("\n");
+                print({ primaryID: args[0], path: path.resolve(out) }, path.resolve(out));
+                break;
+            }
+            case "info": {
+                if (args.length !== 1) throw new UsageError("info takes a primary ID.");
+
+                const info = await disFile.getFileInfo(args[0]);
+                print(info, [
+                    `Name:       ${info.fileName}`,
+                    `Size:       ${info.size === null ? "unknown" : `${formatBytes(info.size)} (${info.size} bytes)`}`,
+                    `Type:       ${info.mimeType}`,
+                    `Chunks:     ${info.chunkCount}`,
+                    `Encrypted:  ${info.encrypted ? "yes" : "no"}`,
+                    `Compressed: ${info.compression ? `${info.compression}, ${formatBytes(info.storedSize)} stored` : "no"}`,
+                    `SHA-256:    ${info.sha256 || "unknown"}`,
+                    `Created at: ${info.createdAt.toISOString()}`
+                ].join("\n"));
+                break;
+            }
+            case "delete": {
+                if (args.length !== 1) throw new UsageError("delete takes a primary ID.");
+
+                const result = await disFile.deleteFile(args[0]);
+                print(result, `Deleted ${result.fileName} (${result.deletedChunks} chunks)`);
+                break;
+            }
+            default:
+                throw new UsageError(`Unknown command: ${command}`);
+        }
+        return 0;
+    } catch (err) {
+        if (showProgress) stderr.write("\n");
+        if (values.json) stdout.write(JSON.stringify({ error: err.message, code: err.code }, null, 2) + "\n");
+        if (err instanceof UsageError) {
+            stderr.write(`${err.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+
+        stderr.write(`Error: ${err.message}\n`);
+        return 1;
+    }
+}
+
+module.exports = {
+    run
+}
@@ -0,0 +1,91 @@
+const zlib = require("zlib");
+const stream = require("stream");
+const { IntegrityError, ValidationError } = require("./errors");
+
+// Codecs files can be compressed with
+const CODECS = ["gzip", "brotli"];
+
+// Extensions of formats that are already compressed, which `auto` leaves as they are
+const COMPRESSED_EXTENSIONS = new Set([
+    "zip", "gz", "tgz", "bz2", "xz", "zst", "br", "7z", "rar", "jar", "apk",
+    "docx", "xlsx", "pptx", "odt", "epub", "pdf",
+    "png", "jpg", "jpeg", "gif", "webp", "avif", "heic",
+    "mp3", "ogg", "opus", "flac", "aac", "m4a",
+    "mp4", "webm", "mov", "mkv", "avi"
+]);
+
+/**
+ * Picks the codec to compress a file with.
+ *
+ * @param {string|boolean} [compression] - `gzip`, `brotli`, `auto` (gzip, unless the file is already compressed) or a falsy value for none.
+ * @param {string} fileName - The name of the file (including file extension).
+ * @returns {string|null} - The codec, or `null` if the file is not compressed.
+ * @throws {ValidationError} - If the compression is unknown.
+ */
+function resolveCodec(compression, fileName) {
+    if (!compression || compression === "none") return null;
+    if (CODECS.includes(compression)) return compression;
+    if (compression !== "auto") throw new ValidationError(`Unknown compression: ${compression}`);
+
+    const extension = fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : "";
+    return COMPRESSED_EXTENSIONS.has(extension) ? null : "gzip";
+}
+
+/**
+ * Compresses a stream before it is sliced into chunks. The bytes read are counted, so the original size can be recorded in the manifest.
+ *
+ * @param {stream.Readable} source - The data to compress.
+ * @param {string} codec - The codec, `gzip` or `brotli`.
+ * @returns {{ stream: stream.Readable, params: Object }} - The compressed stream and the compression parameters to record in the manifest
+ *                                                          (`codec` and `originalSize`, which is complete once the stream ends).
+ */
+function compressStream(source, codec) {
+    const params = { codec: codec, originalSize: 0 };
+
+    const counter = new stream.Transform({
+        transform(piece, encoding, callback) {
+            params.originalSize += piece.length;
+            callback(null, piece);
+        }
+    });
+    // Brotli defaults to its best and slowest quality, a middle one compresses almost as well many times faster
+    const compressor = codec === "brotli"
+        ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+        : zlib.createGzip();
+
+    // Errors of the source are raised by the returned stream
+    return { stream: stream.pipeline(source, counter, compressor, () => { }), params: params };
+}
+
+/**
+ * Decompresses file data and checks it has the original size.
+ *
+ * @param {AsyncIterable<Buffer>} data - The compressed data, in order.
+ * @param {Object} params - The compression parameters recorded in the manifest.
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the original data.
+ * @throws {IntegrityError} - Once the data ends, if it does not have the original size.
+ */
+async function* decompress(data, params) {
+    if (!CODECS.includes(params.codec)) throw new ValidationError(`Unknown compression: ${params.codec}`);
+    const decompressor = params.codec === "brotli" ? zlib.createBrotliDecompress() : zlib.createGunzip();
+
+    let size = 0;
+    for await (const piece of stream.pipeline(stream.Readable.from(data), decompressor, () => { })) {
+        size += piece.length;
+        yield piece;
+    }
+
+    if (size !== params.originalSize) {
+        throw new IntegrityError(`Decompressed file has ${size} bytes, expected ${params.originalSize}.`, {
+            expected: String(params.originalSize),
+            actual: String(size)
+        });
+    }
+}
+
+module.exports = {
+    CODECS,
+    resolveCodec,
+    compressStream,
+    decompress
+}
@@ -0,0 +1,89 @@
+const { findManifest } = require("../download/download-file");
+const { WebhookPool } = require("../webhook-pool");
+const { NotFoundError } = require("../errors");
+
+/**
+ * Deletes a message sent by the webhook. Messages that no longer exist are ignored.
+ *
+ * @param {Object} transport - The transport to delete the message through, see `DiscordTransport`.
+ * @param {string} webhookURL - The URL of the Discord webhook that sent the message.
+ * @param {string} messageID - The ID of the message to delete.
+ * @returns {Promise<void>} - A promise that resolves once the message is deleted.
+ */
+function deleteMessage(transport, webhookURL, messageID) {
+    return new Promise((resolve, reject) => {
+        transport.deleteMessage(webhookURL, messageID)
+            .then(() => resolve())
+            .catch(err => {
+                // Already deleted
+                if (err instanceof NotFoundError) return resolve();
+                reject(err);
+            });
+    });
+}
+
+/**
+ * Deletes several chunk messages, each through the webhook that sent it. The request client spaces the requests out to respect the rate limits.
+ *
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks that sent the messages.
+ * @param {Array<Object>} chunks - The `id` of each message to delete and the ID of the `webhook` that sent it.
+ * @returns {Promise<void>} - A promise that resolves once every message is deleted.
+ */
+async function deleteMessages(webhooks, chunks) {
+    const pool = WebhookPool.from(webhooks);
+    await Promise.all(chunks.map(chunk => deleteMessage(pool.transport, pool.getURL(chunk.webhook), chunk.id)));
+}
+
+/**
+ * Deletes a stored file: every chunk message listed in its manifest, then the manifest message itself.
+ * The manifest goes last, so a failed deletion can simply be run again. For a directory, only the directory manifest is deleted
+ * unless `recursive` is set, since the files it points to may also belong to later uploads of it, which reused them.
+ *
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks that sent the file.
+ * @param {string} filePrimaryID - The primary ID of the file to delete.
+ * @param {Object} [options] - Deletion options.
+ * @param {boolean} [options.recursive=false] - Whether to also delete the files of a directory. Files already deleted are skipped.
+ * @returns {Promise<Object>} - A promise that resolves with the `primaryID`, `fileName` and number of `deletedChunks`. For a directory also
+ *                              the number of `deletedFiles`, and the primary IDs of the files left behind (`keptFileIDs`), empty when `recursive`.
+ */
+async function deleteFile(webhooks, filePrimaryID, options = {}) {
+    const pool = WebhookPool.from(webhooks);
+    const { manifest, webhookURL } = await findManifest(pool, filePrimaryID);
+
+    if (manifest.type !== "directory") {
+        await deleteMessages(pool, manifest.chunks);
+        await deleteMessage(pool.transport, webhookURL, filePrimaryID);
+        return { primaryID: filePrimaryID, fileName: manifest.filename, deletedChunks: manifest.chunks.length };
+    }
+
+    // Files with the same content share a primary ID, empty files have none
+    const fileIDs = [...new Set(manifest.files.map(file => file.primaryID).filter(Boolean))];
+    let deletedChunks = 0;
+    let deletedFiles = 0;
+    if (options.recursive) {
+        for (const fileID of fileIDs) {
+            try {
+                deletedChunks += (await deleteFile(pool, fileID)).deletedChunks;
+                deletedFiles++;
+            } catch (err) {
+                // Already deleted, e.g. by an earlier attempt or with another upload of the directory
+                if (!(err instanceof NotFoundError)) throw err;
+            }
+        }
+    }
+    await deleteMessage(pool.transport, webhookURL, filePrimaryID);
+
+    return {
+        primaryID: filePrimaryID,
+        fileName: manifest.name,
+        deletedChunks: deletedChunks,
+        deletedFiles: deletedFiles,
+        keptFileIDs: options.recursive ? [] : fileIDs
+    };
+}
+
+module.exports = {
+    deleteMessage,
+    deleteMessages,
+    deleteFile
+}
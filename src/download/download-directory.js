@@ -0,0 +1,107 @@
+const fs = require("fs")
+const path = require("path");
+const stream = require("stream");
+
+const { getManifest, downloadStream } = require("./download-file");
+const { DisFileError, ManifestParseError, AbortError } = require("../errors");
+
+/**
+ * Resolves the path of an entry of a directory manifest inside the output directory.
+ *
+ * @param {string} outDir - The directory the files are written to.
+ * @param {string} entryPath - The relative path recorded in the manifest, with `/` separators.
+ * @returns {string} - The path to write the entry to.
+ * @throws {ManifestParseError} - If the path leads outside of the output directory, which only a forged manifest would do.
+ */
+function resolveEntryPath(outDir, entryPath) {
+    const root = path.resolve(outDir);
+    const target = path.resolve(root, ...String(entryPath).split("/"));
+    if (!target.startsWith(root + path.sep)) {
+        throw new ManifestParseError(`Path ${entryPath} of the directory manifest leads outside of the directory.`);
+    }
+    return target;
+}
+
+/**
+ * Writes a file of a directory and restores its mode and mtime.
+ *
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {Object} file - The entry of the file in the directory manifest.
+ * @param {string} filePath - The path to write the file to.
+ * @param {Map<string, string>} written - The path already written for each primary ID, files with the same content are copied from it.
+ * @param {Object} options - Download options, see `readFile`.
+ * @returns {Promise<void>} - A promise that resolves once the file is written.
+ */
+async function restoreFile(webhooks, file, filePath, written, options) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (!file.primaryID) {
+        // Empty files are not uploaded
+        await fs.promises.writeFile(filePath, "");
+    } else if (written.has(file.primaryID)) {
+        // Files with the same content are only downloaded once
+        await fs.promises.copyFile(written.get(file.primaryID), filePath);
+    } else {
+        await stream.promises.pipeline(downloadStream(webhooks, file.primaryID, options), fs.createWriteStream(filePath));
+        written.set(file.primaryID, filePath);
+    }
+
+    if (file.mode != null) await fs.promises.chmod(filePath, file.mode);
+    if (file.mtime) await fs.promises.utimes(filePath, new Date(file.mtime), new Date(file.mtime));
+}
+
+/**
+ * Downloads a directory uploaded with `uploadDirectory` and rebuilds its tree in the output directory, which is created
+ * if needed. Files are downloaded one after the other, with the modes and mtimes recorded at upload.
+ *
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} directoryPrimaryID - The primary ID of the directory manifest.
+ * @param {string} outDir - The directory to write the files to.
+ * @param {Object} [options] - Download options, see `readFile`, used for each file.
+ * @param {Function} [options.onFileDownloaded] - Called after each file with its `path`, `primaryID`, its `fileIndex` and the `totalFiles`.
+ * @param {AbortSignal} [options.signal] - A signal to cancel the download. The files already written are kept.
+ * @returns {Promise<Object>} - A promise that resolves with the `primaryID`, the `directoryName`, the `path` it was written to
+ *                              and the number of `files` written.
+ * @throws {DisFileError} - With the code `WRITE_ERROR` if a file cannot be written.
+ */
+async function downloadDirectory(webhooks, directoryPrimaryID, outDir, options = {}) {
+    const manifest = await getManifest(webhooks, directoryPrimaryID, options.signal, "directory");
+    const written = new Map();
+
+    try {
+        // Create every directory first, so empty ones are kept
+        await fs.promises.mkdir(outDir, { recursive: true });
+        for (const dir of manifest.directories) {
+            await fs.promises.mkdir(resolveEntryPath(outDir, dir.path), { recursive: true });
+        }
+
+        for (const [fileIndex, file] of manifest.files.entries()) {
+            if (options.signal && options.signal.aborted) throw new AbortError();
+
+            await restoreFile(webhooks, file, resolveEntryPath(outDir, file.path), written, options);
+            if (options.onFileDownloaded) {
+                options.onFileDownloaded({ path: file.path, primaryID: file.primaryID, fileIndex, totalFiles: manifest.files.length });
+            }
+        }
+
+        // Modes go last, a read-only directory could not be written to otherwise
+        for (const dir of [...manifest.directories].reverse()) {
+            if (dir.mode != null) await fs.promises.chmod(resolveEntryPath(outDir, dir.path), dir.mode);
+        }
+    } catch (err) {
+        // Download errors are raised as they are, anything else failed to write
+        if (err instanceof DisFileError) throw err;
+        throw new DisFileError(`Failed to write directory ${outDir}: ${err.message}`, { code: "WRITE_ERROR", cause: err });
+    }
+
+    return {
+        primaryID: directoryPrimaryID,
+        directoryName: manifest.name,
+        path: outDir,
+        files: manifest.files.length
+    };
+}
+
+module.exports = {
+    downloadDirectory
+}
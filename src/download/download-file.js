@@ -1,122 +1,634 @@
-const axios = require("axios")
+const fs = require("fs")
+const crypto = require("crypto");
 const stream = require("stream");
-const fs = require('fs')
+const { setTimeout: sleep } = require("timers/promises");
+const { IntegrityError, DecryptionError, AbortError, ValidationError, NotFoundError, ChunkDownloadError } = require("../errors");
+const { createChecksum, deriveKey, decryptChunk } = require("../encryption");
+const { createProgressTracker } = require("../progress");
+const { mapConcurrent, getAttachmentExpiry } = require("../utils");
+const { parseManifest, locateManifest } = require("../manifest");
+const { WebhookPool, getWebhookID } = require("../webhook-pool");
+const { decompress } = require("../compression");
 
 /**
- * Downloads multiple files sequentially and merges them into a single file.
- * Returns a promise that resolves when all files are merged or rejects on error.
+ * Checks the size and SHA-256 checksum of a downloaded chunk against the values recorded at upload.
  * 
- * @param {Array<Object>} files - Array of file objects containing URLs and filenames.
- * @param {string} outputFilename - The path where the merged file will be saved.
- * @returns {Promise<void>} - A promise that resolves when the download and merge are complete.
+ * @param {Buffer} data - The data of the chunk.
+ * @param {Object} expected - The `size` and `sha256` recorded in the manifest for this chunk.
+ * @param {number} index - The index of the chunk.
+ * @param {string} chunkID - The message ID of the chunk.
+ * @throws {IntegrityError} - If the size or the checksum does not match.
  */
-function mergeToBuffer(files) {
-    return new Promise(async (resolve, reject) => {
-        const buffers = [];
+function verifyChunk(data, expected, index, chunkID) {
+    if (data.length !== expected.size) {
+        throw new IntegrityError(`Chunk ${index} (${chunkID}) has ${data.length} bytes, expected ${expected.size}.`, {
+            chunkIndex: index,
+            chunkID: chunkID,
+            expected: String(expected.size),
+            actual: String(data.length)
+        });
+    }
+
+    const sha256 = crypto.createHash("sha256").update(data).digest("hex");
+    if (sha256 !== expected.sha256) {
+        throw new IntegrityError(`Chunk ${index} (${chunkID}) failed the checksum verification.`, {
+            chunkIndex: index,
+            chunkID: chunkID,
+            expected: expected.sha256,
+            actual: sha256
+        });
+    }
+}
+
+// Number of chunks fetched at the same time by default
+const DEFAULT_CONCURRENCY = 3;
+
+// Attachment URLs expiring within this time (in milliseconds) are refreshed before use
+const EXPIRY_MARGIN = 60 * 1000;
+
+// Times a chunk whose data stops arriving midway is fetched again, and the delay before the first retry in milliseconds (doubled on each further one)
+const CHUNK_RETRIES = 3;
+const CHUNK_RETRY_DELAY = 500;
+
+/**
+ * Fetches the message of a chunk through the webhook that sent it to get the current URL of its attachment.
+ * Discord CDN URLs expire, so a new one is issued with every fetch of the message.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the message from.
+ * @param {Object} chunk - The `id` of the chunk message and the ID of the `webhook` that sent it.
+ * @param {AbortSignal} [signal] - A signal to cancel the request.
+ * @returns {Promise<Object>} - A Promise that resolves to the chunk `id` and `webhook`, and the `filename`, `url`
+ *          and `expiresAt` date (`null` if the URL does not expire) of its attachment.
+ */
+async function getChunkAttachment(webhooks, chunk, signal) {
+    const pool = WebhookPool.from(webhooks);
+    const msg = await pool.transport.getMessage(pool.getURL(chunk.webhook), chunk.id, { signal });
+    const attachment = msg.attachments[0];
+
+    return {
+        id: chunk.id,
+        webhook: chunk.webhook,
+        filename: attachment.filename,
+        url: attachment.url,
+        expiresAt: getAttachmentExpiry(attachment.url)
+    };
+}
+
+/**
+ * Fetches the attachment of one chunk and verifies it if its checksum is known. An attachment URL that expired
+ * while the download waited for it, or that the CDN refuses with 403 or 404, is replaced by a fresh one and fetched again.
+ * A chunk whose data stops arriving midway (e.g. the connection was reset) is fetched again with exponential backoff.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to refresh the URL through.
+ * @param {Object} file - The file object of the chunk, see `readChunks`.
+ * @param {AbortSignal} signal - A signal to cancel the request.
+ * @param {ProgressTracker} [progress] - A tracker to report the bytes received to.
+ * @returns {Promise<Buffer>} - A Promise that resolves to the data of the chunk.
+ */
+async function fetchChunk(webhooks, file, signal, progress) {
+    const transport = WebhookPool.from(webhooks).transport;
+    let data;
+    let reported = 0;  // Bytes of the chunk reported to the progress, so the bytes received again by a retry are not counted twice
+    try {
+        for (let attempt = 0; data === undefined; attempt++) {
+            if (file.expiresAt && file.expiresAt.getTime() - EXPIRY_MARGIN <= Date.now()) {
+                file = { ...file, ...await getChunkAttachment(webhooks, file, signal) };
+            }
 
-        // Sequentially fetch and merge each chunk
-        for (const file of files) {
+            let body;
             try {
-                const res = await axios.get(file.url, { responseType: 'stream' });
-                if (!res.data) throw new Error(`Failed to fetch ${file.filename}`);
-
-                // Collect the data in a buffer
-                const chunks = [];
-                res.data.on('data', chunk => chunks.push(chunk));
-
-                // Wait for the stream to end and push to buffers
-                await new Promise((resolve, reject) => {
-                    res.data.on('end', () => {
-                        buffers.push(Buffer.concat(chunks));  // Concatenate chunks into a Buffer
-                        resolve();
-                    });
-                    res.data.on('error', reject);
-                });
-                await new Promise(resolve => setTimeout(resolve, 3000));
-            } catch (error) {
-                reject(new Error(`Error downloading file ${file.filename}: ${error.message}`));
-                return; // Exit early if there's an error
+                body = await transport.fetchAttachment(file.url, { signal });
+            } catch (err) {
+                if (![403, 404].includes(err.status)) throw err;
+
+                // The URL expired or was revoked, the message holds a fresh one
+                file = { ...file, ...await getChunkAttachment(webhooks, file, signal) };
+                body = await transport.fetchAttachment(file.url, { signal });
+            }
+            if (!body) throw new ChunkDownloadError(`Failed to fetch ${file.filename}`, { chunkIndex: file.index, chunkID: file.id });
+
+            const pieces = [];
+            let received = 0;
+            try {
+                for await (const piece of body) {
+                    pieces.push(piece);
+                    received += piece.length;
+                    if (progress && received > reported) {
+                        progress.add(received - reported, file.index);
+                        reported = received;
+                    }
+                }
+                data = Buffer.concat(pieces);
+            } catch (err) {
+                // The data stopped arriving midway, wait and fetch the whole chunk again
+                if (err instanceof AbortError || signal.aborted || attempt >= CHUNK_RETRIES) throw err;
+                await sleep(CHUNK_RETRY_DELAY * 2 ** attempt, undefined, { signal });
             }
         }
+    } catch (error) {
+        if (error instanceof AbortError || signal.aborted) throw new AbortError(undefined, { cause: error });
+        throw new ChunkDownloadError(`Error downloading file ${file.filename}: ${error.message}`, {
+            chunkIndex: file.index,
+            chunkID: file.id,
+            cause: error
+        });
+    }
 
-        // Combine all buffers into a single buffer
-        resolve(Buffer.concat(buffers));
-    });
+    if (file.expected) verifyChunk(data, file.expected, file.index, file.id);
+    return data;
+}
+
+/**
+ * Fetches the chunk attachments and yields their data in order. Up to `concurrency` chunks
+ * are fetched at the same time, so at most that many chunks are held in memory, never the whole file.
+ * Chunks with a recorded checksum are verified before being yielded.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to refresh expired URLs through.
+ * @param {Array<Object>} files - Array of file objects containing URLs, filenames, chunk IDs and webhooks, the chunk `index`
+ *                                and the `expected` size and checksum (if known), in chunk order.
+ * @param {Object} [options] - Download options.
+ * @param {number} [options.concurrency=3] - The number of chunks fetched at the same time.
+ * @param {AbortSignal} [options.signal] - A signal to cancel the download.
+ * @param {ProgressTracker} [progress] - A tracker to report the bytes received to.
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the data of each chunk in order.
+ */
+async function* readChunks(webhooks, files, options = {}, progress = null) {
+    const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+
+    // Cancels the fetches still running if reading stops early
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (options.signal) options.signal.addEventListener("abort", onAbort, { once: true });
+
+    const window = [];  // Fetches in flight, in chunk order
+    let next = 0;
+    try {
+        while (next < files.length || window.length > 0) {
+            while (window.length < concurrency && next < files.length) {
+                const task = fetchChunk(webhooks, files[next++], controller.signal, progress);
+                task.catch(() => { });  // Errors are raised when the chunk's turn comes
+                window.push(task);
+            }
+            yield await window.shift();
+        }
+    } finally {
+        if (options.signal) options.signal.removeEventListener("abort", onAbort);
+        controller.abort();
+    }
+}
+
+/**
+ * Decrypts and authenticates each chunk in order.
+ * 
+ * @param {AsyncIterable<Buffer>} chunks - The encrypted chunks, one whole chunk per item, in order.
+ * @param {Buffer} key - The 256-bit key.
+ * @param {number} [index=0] - The index of the first chunk.
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the plaintext of each chunk.
+ * @throws {DecryptionError} - If a chunk cannot be decrypted with the key.
+ */
+async function* decryptChunks(chunks, key, index = 0) {
+    for await (const chunk of chunks) {
+        yield decryptChunk(key, chunk, index++);
+    }
+}
+
+/**
+ * Checks the size and checksum of the whole file while passing its data through.
+ * 
+ * @param {AsyncIterable<Buffer>} data - The file data, in order.
+ * @param {Object} manifest - The parsed manifest of the file, holding its `size` and `sha256`.
+ * @param {Object} [prefix] - The file data preceding `data`, when resuming a download.
+ * @param {crypto.Hash|crypto.Hmac} [prefix.hash] - The checksum of the file (see `createChecksum`), already updated with the preceding data.
+ *                                                  Defaults to a plain SHA-256, as recorded for files that are not encrypted.
+ * @param {number} [prefix.size=0] - The size of the preceding data.
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the same data.
+ * @throws {IntegrityError} - Once the data ends, if the size or the checksum does not match.
+ */
+async function* verifyFile(data, manifest, prefix = {}) {
+    const hash = prefix.hash || crypto.createHash("sha256");
+    let size = prefix.size || 0;
+
+    for await (const piece of data) {
+        hash.update(piece);
+        size += piece.length;
+        yield piece;
+    }
+
+    if (size !== manifest.size) {
+        throw new IntegrityError(`File has ${size} bytes, expected ${manifest.size}.`, {
+            expected: String(manifest.size),
+            actual: String(size)
+        });
+    }
+
+    const sha256 = hash.digest("hex");
+    if (sha256 !== manifest.sha256) {
+        throw new IntegrityError("File failed the checksum verification.", {
+            expected: manifest.sha256,
+            actual: sha256
+        });
+    }
 }
 
 /**
- * Retrieves all file information (filename and URL) from the specified chunk IDs.
- * The chunk IDs are used to fetch messages from a webhook URL, and the function returns
- * an array of objects containing the filenames and URLs of the attachments, sorted by filename order.
+ * Retrieves all file information (filename and URL) from the specified chunks.
+ * Each chunk message is fetched through the webhook that sent it, up to `concurrency` at the same time
+ * within the rate limits, and the function returns an array of objects containing the filenames
+ * and URLs of the attachments, sorted by filename order.
  * 
- * @param {string} webhookURL - The URL of the Discord webhook to fetch the messages from.
- * @param {Array<string>} chunkIDs - An array of chunk IDs to retrieve messages and attachments from.
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {Array<Object>} chunks - The `id` of each chunk message and the ID of the `webhook` that sent it.
+ * @param {Object} [options] - Download options.
+ * @param {number} [options.concurrency=3] - The number of messages fetched at the same time.
+ * @param {AbortSignal} [options.signal] - A signal to cancel the requests.
  * @returns {Promise<Array<Object>>} - A Promise that resolves to an array of objects, 
- *         each containing a `filename` and `url` property for the file, 
+ *         each containing the chunk `id` and `webhook` and a `filename`, `url` and `expiresAt` property for the file, 
  *         sorted in ascending order based on the filename number.
  */
-function getAllFiles(webhookURL, chunkIDs) {
-    return new Promise((resolve, reject) => {
-        let results = [];
-        chunkIDs.reduce((promiseChain, chunkID, index) => {
-            return promiseChain
-                .then(() => new Promise(resolve => setTimeout(resolve, 1000)))  // 1 second delay between each request
-                .then(() => axios.get(`${webhookURL}/messages/${chunkID}`))
-                .then(msg => {
-                    results.push({
-                        filename: msg.data.attachments[0].filename,
-                        url: msg.data.attachments[0].url
-                    });
-                })
-                .catch(err => {
-                    throw new Error(`Error downloading chunk ${chunkID}: ${err.message}`);
-                });
-        }, Promise.resolve())  // Start with a resolved promise
-            .then(() => {
-                // Sort the results by filename
-                resolve(results.sort((a, b) => {
-                    const numA = parseInt(a.filename.split("_")[0], 10);
-                    const numB = parseInt(b.filename.split("_")[0], 10);
-                    return numA - numB;  // Ascending order
-                }));
-            })
+async function getAllFiles(webhooks, chunks, options = {}) {
+    const results = await mapConcurrent(chunks, options.concurrency || DEFAULT_CONCURRENCY, chunk => {
+        return getChunkAttachment(webhooks, chunk, options.signal)
             .catch(err => {
-                reject(err);
+                if (err instanceof AbortError) throw err;
+                throw new ChunkDownloadError(`Error downloading chunk ${chunk.id}: ${err.message}`, {
+                    chunkIndex: chunk.index,
+                    chunkID: chunk.id,
+                    cause: err
+                });
             });
     });
+
+    // Sort the results by filename, older uploads did not list the IDs in chunk order
+    return results.sort((a, b) => {
+        const numA = parseInt(a.filename.split("_")[0], 10);
+        const numB = parseInt(b.filename.split("_")[0], 10);
+        return numA - numB;  // Ascending order
+    });
+}
+
+/**
+ * Fetches the message with the specified primary ID and parses the manifest it holds,
+ * either from its JSON attachment or, for legacy uploads, from its content.
+ * A webhook can only fetch its own messages, so each webhook of the pool is tried in turn.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file.
+ * @param {AbortSignal} [signal] - A signal to cancel the requests.
+ * @returns {Promise<Object>} - A Promise that resolves to the normalized `manifest` and the `webhookURL` of the webhook that sent it.
+ * @throws {NotFoundError} - If no webhook of the pool can fetch the message.
+ * @throws {ManifestParseError} - If the message does not hold a valid manifest.
+ */
+async function findManifest(webhooks, filePrimaryID, signal) {
+    const pool = WebhookPool.from(webhooks);
+    let msg, webhookURL, lastError;
+    for (webhookURL of pool.urls) {
+        try {
+            // Fetch the message using the primary file ID through the webhook
+            msg = await pool.transport.getMessage(webhookURL, filePrimaryID, { signal });
+            break;
+        } catch (err) {
+            // Only a message sent by another webhook is worth looking for elsewhere
+            if (!(err.status >= 400 && err.status < 500)) throw err;
+            lastError = err;
+        }
+    }
+    if (!msg && lastError instanceof NotFoundError) {
+        throw new NotFoundError(`File ${filePrimaryID} was not found.`, { status: lastError.status, cause: lastError });
+    }
+    if (!msg) throw lastError;
+
+    const location = locateManifest(msg);
+    let manifest;
+    if (location.json !== undefined) {
+        // Legacy manifests are stored in the message content
+        manifest = parseManifest(location.json);
+    } else {
+        const pieces = [];
+        for await (const piece of await pool.transport.fetchAttachment(location.url, { signal })) pieces.push(piece);
+        manifest = parseManifest(Buffer.concat(pieces).toString("utf8"));
+    }
+
+    // Chunks that do not record their webhook were sent by the webhook that sent the manifest
+    const webhookID = getWebhookID(webhookURL);
+    (manifest.chunks || []).forEach(chunk => { chunk.webhook = chunk.webhook || webhookID; });
+
+    return { manifest: manifest, webhookURL: webhookURL };
+}
+
+/**
+ * Fetches the manifest of the file with the specified primary ID, see `findManifest`.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file.
+ * @param {AbortSignal} [signal] - A signal to cancel the requests.
+ * @param {string} [type="file"] - The type of manifest expected, `file` or `directory`.
+ * @returns {Promise<Object>} - A Promise that resolves to the normalized manifest.
+ * @throws {ValidationError} - If the manifest is of another type.
+ */
+async function getManifest(webhooks, filePrimaryID, signal, type = "file") {
+    const { manifest } = await findManifest(webhooks, filePrimaryID, signal);
+    if (manifest.type !== type) {
+        const hint = manifest.type === "directory" ? ", use downloadDirectory" : "";
+        throw new ValidationError(`${filePrimaryID} is a ${manifest.type}, not a ${type}${hint}.`);
+    }
+    return manifest;
+}
+
+/**
+ * Derives the key of an encrypted file, before anything is downloaded.
+ *
+ * @param {Object} manifest - The parsed manifest of the file.
+ * @param {Buffer|string} [encryptionKey] - The key or passphrase the file was encrypted with.
+ * @returns {Buffer|null} - The 256-bit key, `null` if the file is not encrypted.
+ * @throws {DecryptionError} - If the file is encrypted and no key was given.
+ */
+function getKey(manifest, encryptionKey) {
+    if (!manifest.encryption) return null;
+    if (!encryptionKey) throw new DecryptionError("File is encrypted, an encryption key is required.");
+    return deriveKey(encryptionKey, manifest.encryption);
+}
+
+/**
+ * Prepares resuming a download into a partially written file. The whole chunks already in the file are kept
+ * (and hashed, so the whole file can still be verified) and anything after them is truncated.
+ * Files whose manifest does not record the chunk size are truncated entirely.
+ * 
+ * @param {string} filePath - The path of the partially written file.
+ * @param {Object} manifest - The parsed manifest of the file.
+ * @param {Buffer|string} [encryptionKey] - The key or passphrase the file was encrypted with, which the checksum of encrypted files is keyed with.
+ * @returns {Promise<Object>} - A Promise that resolves to the index of the first chunk to download (`fromChunk`)
+ *          and the hash and size of the data kept (`prefix`).
+ */
+async function prepareResume(filePath, manifest, encryptionKey) {
+    const hash = createChecksum(getKey(manifest, encryptionKey), manifest.encryption);
+
+    let existing = 0;
+    try {
+        existing = (await fs.promises.stat(filePath)).size;
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+    }
+
+    // Offsets in the file only map to chunks when every chunk holds exactly `chunkSize` bytes of output, which compression breaks
+    const fromChunk = manifest.chunkSize && manifest.sha256 && !manifest.compression
+        ? Math.min(Math.floor(existing / manifest.chunkSize), manifest.chunks.length)
+        : 0;
+    const size = fromChunk * (manifest.chunkSize || 0);
+
+    // Drop the partially written chunk, if any
+    if (existing > size) await fs.promises.truncate(filePath, size);
+
+    // Hash the data kept
+    if (size > 0) {
+        for await (const piece of fs.createReadStream(filePath, { end: size - 1 })) {
+            hash.update(piece);
+        }
+    }
+
+    return { fromChunk: fromChunk, prefix: { hash: hash, size: size } };
+}
+
+/**
+ * Retrieves all chunk files listed in a manifest and yields their content in order.
+ * When the manifest records checksums, every chunk and the whole file are verified,
+ * encrypted chunks are decrypted with the given key and compressed files are decompressed.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {Object} manifest - The parsed manifest of the file.
+ * @param {Object} [options] - Download options.
+ * @param {Buffer|string} [options.encryptionKey] - The key or passphrase the file was encrypted with.
+ * @param {number} [options.fromChunk=0] - The index of the first chunk to yield, when resuming a download or reading a range.
+ * @param {number} [options.toChunk] - The index after the last chunk to yield, when reading a range (default is all chunks).
+ *                                     Chunks of compressed files are only decompressed when the whole file is read.
+ * @param {Object} [options.prefix] - The hash and size of the data before `fromChunk`, see `verifyFile`.
+ * @param {Function} [options.onProgress] - Called as data arrives with the `bytes` received, `totalBytes`, `chunkIndex`, `totalChunks`
+ *                                          and current `bytesPerSecond`. `totalBytes` is `null` for files uploaded without recorded sizes.
+ * @param {AbortSignal} [options.signal] - A signal to cancel the download, including the requests in flight.
+ * @param {number} [options.concurrency=3] - The number of chunks fetched at the same time (and so held in memory).
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the file data in order.
+ */
+async function* readFile(webhooks, manifest, options = {}) {
+    const fromChunk = options.fromChunk || 0;
+    const toChunk = options.toChunk ?? manifest.chunks.length;
+
+    // Check the key before downloading anything
+    const key = getKey(manifest, options.encryptionKey);
+
+    // Retrieve all file information (filenames and URLs) for the chunk IDs in the parsed data
+    const chunkInfos = manifest.chunks.slice(fromChunk, toChunk);
+    const allFiles = await getAllFiles(webhooks, chunkInfos, options);
+
+    // Chunk sizes and checksums are only recorded by current manifests, legacy ones at most record those of the whole file
+    const chunksRecorded = chunkInfos.every(chunk => chunk.sha256);
+    const progress = createProgressTracker(options.onProgress, {
+        totalBytes: chunksRecorded ? chunkInfos.reduce((total, chunk) => total + chunk.size, 0) : null,
+        totalChunks: manifest.chunks.length
+    });
+
+    // Attach the index and, if recorded, the size and checksum to each chunk, the files are sorted by chunk index
+    const files = allFiles.map((file, index) => ({
+        ...file,
+        index: fromChunk + index,
+        expected: manifest.sha256 && chunksRecorded ? chunkInfos[index] : null
+    }));
+    const chunks = readChunks(webhooks, files, options, progress);
+
+    // Manifests written before checksums were recorded cannot be verified
+    if (!manifest.sha256) {
+        yield* chunks;
+        return;
+    }
+    const data = key ? decryptChunks(chunks, key, fromChunk) : chunks;
+
+    // The whole file can only be verified when it is read up to the end and any skipped part was hashed
+    if (toChunk < manifest.chunks.length || (fromChunk > 0 && !options.prefix)) {
+        yield* data;
+        return;
+    }
+    const verified = verifyFile(data, manifest, options.prefix || { hash: createChecksum(key, manifest.encryption) });
+    yield* manifest.compression ? decompress(verified, manifest.compression) : verified;
+}
+
+/**
+ * Gets the current attachment URL of each chunk of the file with the specified primary ID, e.g. to hand them
+ * to another client. The URLs expire, call this again after `expiresAt` to get fresh ones.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file.
+ * @param {Object} [options] - Download options, see `getAllFiles`.
+ * @returns {Promise<Array<Object>>} - A Promise that resolves to the `index`, `id`, `url` and `expiresAt` date
+ *          (`null` if the URL does not expire) of each chunk, in chunk order.
+ */
+async function getChunkUrls(webhooks, filePrimaryID, options = {}) {
+    const manifest = await getManifest(webhooks, filePrimaryID, options.signal);
+    const files = await getAllFiles(webhooks, manifest.chunks, options);
+
+    return files.map((file, index) => ({
+        index: index,
+        id: file.id,
+        url: file.url,
+        expiresAt: file.expiresAt
+    }));
+}
+
+/**
+ * Fetches the manifest of the file with the specified primary ID and yields the content of each chunk in order.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file to retrieve.
+ * @param {Object} [options] - Download options, see `readFile`.
+ * @param {string} [options.resumeFile] - The path of a partially written file to resume, only the chunks it is missing are yielded.
+ *                                        The file is truncated to the last whole chunk, so it must be opened in append mode.
+ * @param {Object} [options.manifest] - The manifest of the file if the caller already fetched it, see `getManifest`.
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the file data in order.
+ */
+async function* readFileByID(webhooks, filePrimaryID, options = {}) {
+    const manifest = options.manifest || await getManifest(webhooks, filePrimaryID, options.signal);
+    if (!options.resumeFile) {
+        yield* readFile(webhooks, manifest, options);
+        return;
+    }
+
+    const resume = await prepareResume(options.resumeFile, manifest, options.encryptionKey);
+    yield* readFile(webhooks, manifest, { ...options, ...resume });
 }
 
 /**
- * Downloads a file by fetching the message with the specified primary ID, parsing the data to retrieve
- * all associated chunk files, and merging them into a single buffer.
+ * Keeps only the bytes of a range from file data.
  * 
- * @param {string} webhookURL - The URL of the Discord webhook to fetch the messages from.
+ * @param {AsyncIterable<Buffer>} data - The file data, in order.
+ * @param {number} offset - The position of the first byte of `data` in the file.
+ * @param {number} start - The position of the first byte of the range.
+ * @param {number} end - The position of the last byte of the range (inclusive).
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the data of the range.
+ */
+async function* sliceRange(data, offset, start, end) {
+    let position = offset;
+    for await (const piece of data) {
+        const pieceStart = position;
+        position += piece.length;
+
+        if (position <= start) continue;
+        yield piece.subarray(Math.max(0, start - pieceStart), Math.min(piece.length, end + 1 - pieceStart));
+        if (position > end) return;
+    }
+}
+
+/**
+ * Yields a byte range of the file with the specified primary ID. Only the chunks covering the range are fetched,
+ * using the chunk size recorded at upload. Compressed files and files uploaded without recorded sizes are downloaded entirely and sliced.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file to read.
+ * @param {number} start - The position of the first byte to read.
+ * @param {number} [end] - The position of the last byte to read, inclusive (default is the end of the file).
+ * @param {Object} [options] - Download options, see `readFile`.
+ * @param {Object} [options.manifest] - The manifest of the file if the caller already fetched it, see `getManifest`.
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the data of the range.
+ */
+async function* readRangeByID(webhooks, filePrimaryID, start, end = Infinity, options = {}) {
+    if (!Number.isInteger(start) || start < 0 || !(end === Infinity || Number.isInteger(end)) || end < start) {
+        throw new ValidationError(`Invalid range: ${start}-${end}`);
+    }
+
+    const manifest = options.manifest || await getManifest(webhooks, filePrimaryID, options.signal);
+
+    // Without recorded chunk sizes, or once compressed, positions cannot be mapped to chunks
+    if (!manifest.chunkSize || !manifest.sha256 || manifest.compression) {
+        yield* sliceRange(readFile(webhooks, manifest, options), 0, start, end);
+        return;
+    }
+
+    const last = Math.min(end, manifest.size - 1);
+    if (start > last) return;
+
+    const fromChunk = Math.floor(start / manifest.chunkSize);
+    const toChunk = Math.floor(last / manifest.chunkSize) + 1;
+    const data = readFile(webhooks, manifest, { ...options, fromChunk, toChunk });
+    yield* sliceRange(data, fromChunk * manifest.chunkSize, start, last);
+}
+
+/**
+ * Creates a Readable stream of a byte range of the file with the specified primary ID, see `readRangeByID`.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file to read.
+ * @param {number} start - The position of the first byte to read.
+ * @param {number} [end] - The position of the last byte to read, inclusive (default is the end of the file).
+ * @param {Object} [options] - Download options, see `readFile`.
+ * @returns {stream.Readable} - A Readable stream emitting the data of the range.
+ */
+function rangeStream(webhooks, filePrimaryID, start, end, options = {}) {
+    return stream.Readable.from(readRangeByID(webhooks, filePrimaryID, start, end, options), { objectMode: false });
+}
+
+/**
+ * Creates a Readable stream of the file with the specified primary ID.
+ * Up to `concurrency` chunks (3 by default) are fetched at the same time and held in memory until their turn comes,
+ * so memory stays bounded to roughly that many chunks, never the whole file.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file to retrieve.
+ * @param {Object} [options] - Download options, see `readFile`.
+ * @returns {stream.Readable} - A Readable stream emitting the file data in order.
+ */
+function downloadStream(webhooks, filePrimaryID, options = {}) {
+    return stream.Readable.from(readFileByID(webhooks, filePrimaryID, options), { objectMode: false });
+}
+
+/**
+ * Downloads a file by streaming all of its chunks and merging them into a single buffer.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
  * @param {string} filePrimaryID - The primary ID of the file to retrieve and merge its chunks.
+ * @param {Object} [options] - Download options, see `readFile`.
  * @returns {Promise<Buffer>} - A Promise that resolves to a Buffer containing the merged file data.
  */
-function download(webhookURL, filePrimaryID) {
-    return new Promise(async (resolve, reject) => {
-        // Fetch the message using the primary file ID from the webhook URL
-        axios.get(`${webhookURL}/messages/${filePrimaryID}`).then(async msg => {
-            // Remove the code block markers and parse the content into JSON
-            const json = msg.data.content.replaceAll("```", "");
-            const parsed = JSON.parse(json);
-
-            // Retrieve all file information (filenames and URLs) for the chunk IDs in the parsed data
-            const allFiles = await getAllFiles(webhookURL, parsed.ids);
-
-            // Merge the chunks into a single buffer
-            const mergedBuffer = await mergeToBuffer(allFiles);
-
-            // Resolve the Promise with the merged buffer
-            resolve(mergedBuffer);
-        }).catch(err => {
-            // Reject the Promise if an error occurs at any point
-            reject(err);
-        });
+function download(webhooks, filePrimaryID, options = {}) {
+    return new Promise((resolve, reject) => {
+        const buffers = [];
+
+        // Collect the data of the stream and combine it once it ends
+        downloadStream(webhooks, filePrimaryID, options)
+            .on('data', data => buffers.push(data))
+            .on('end', () => resolve(Buffer.concat(buffers)))
+            .on('error', err => reject(err));
     });
 }
 
+/**
+ * Downloads a file and checks it against the sizes and checksums recorded at upload, without keeping its data.
+ * 
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file to verify.
+ * @param {Object} [options] - Download options, see `readFile`.
+ * @returns {Promise<Object>} - A Promise that resolves to the verification result (`primaryID`, `fileName`, `size`, `chunks`
+ *          and `verified`, which is `false` when the file was uploaded without checksums), or rejects with an IntegrityError.
+ */
+async function verify(webhooks, filePrimaryID, options = {}) {
+    const manifest = await getManifest(webhooks, filePrimaryID, options.signal);
+
+    // Read the whole file, the checks happen while reading
+    let size = 0;
+    for await (const piece of readFile(webhooks, manifest, options)) {
+        size += piece.length;
+    }
+
+    return {
+        primaryID: filePrimaryID,
+        fileName: manifest.filename,
+        size: size,
+        chunks: manifest.chunks.length,
+        verified: Boolean(manifest.sha256)
+    };
+}
+
 module.exports = {
-    download
+    findManifest,
+    getManifest,
+    getChunkUrls,
+    download,
+    downloadStream,
+    rangeStream,
+    verify
 }
\ No newline at end of file
@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const { DecryptionError, ValidationError } = require("./errors");
+
+// Cipher used for every chunk, with the sizes of its IV and authentication tag in bytes
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Cost parameters used to derive a key from a passphrase
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+// Context of the key the checksums of encrypted files are computed with, derived from the encryption key
+const CHECKSUM_INFO = "dis-file checksum";
+
+/**
+ * Derives the 256-bit key described by the cipher parameters of a manifest.
+ *
+ * @param {Buffer|string} encryptionKey - A 32-byte key, or a passphrase to derive the key from.
+ * @param {Object} params - The cipher parameters recorded in the manifest.
+ * @returns {Buffer} - The key.
+ * @throws {ValidationError} - If a raw key does not have the right length.
+ * @throws {DecryptionError} - If a passphrase is given for a file encrypted with a raw key, or the other way round.
+ */
+function deriveKey(encryptionKey, params) {
+    if (Buffer.isBuffer(encryptionKey)) {
+        if (params.kdf !== "none") {
+            throw new DecryptionError("The file was encrypted with a passphrase, not a raw key.");
+        }
+        if (encryptionKey.length !== KEY_LENGTH) {
+            throw new ValidationError(`Encryption key must be ${KEY_LENGTH} bytes long.`);
+        }
+        return encryptionKey;
+    }
+
+    if (params.kdf !== "scrypt") {
+        throw new DecryptionError("The file was encrypted with a raw key, not a passphrase.");
+    }
+
+    // A passphrase was given, derive the key using the salt and cost recorded in the manifest
+    const salt = Buffer.from(params.salt, "base64");
+    return crypto.scryptSync(String(encryptionKey), salt, KEY_LENGTH, { N: params.N, r: params.r, p: params.p });
+}
+
+/**
+ * Prepares the encryption of a new upload: picks the cipher parameters to record in the manifest
+ * (never the key itself) and derives the key from them.
+ *
+ * @param {Buffer|string} encryptionKey - A 32-byte key, or a passphrase to derive the key from.
+ * @returns {{ key: Buffer, params: Object }} - The key and the cipher parameters.
+ */
+function createEncryption(encryptionKey) {
+    const params = {
+        algorithm: ALGORITHM,
+        ivLength: IV_LENGTH,
+        tagLength: TAG_LENGTH,
+        kdf: Buffer.isBuffer(encryptionKey) ? "none" : "scrypt",
+        checksum: "hmac-sha256"
+    };
+    if (params.kdf === "scrypt") {
+        Object.assign(params, { salt: crypto.randomBytes(16).toString("base64") }, SCRYPT_PARAMS);
+    }
+
+    return { key: deriveKey(encryptionKey, params), params: params };
+}
+
+/**
+ * Creates the hash the whole-file checksums recorded in manifests are computed with. Files encrypted with the `hmac-sha256`
+ * checksum record an HMAC keyed with a key derived from the encryption key, so their manifest does not give away a checksum
+ * of the plaintext. Other files (including those encrypted before it) record a plain SHA-256.
+ *
+ * @param {Buffer|null} key - The 256-bit key of an encrypted file, `null` if it is not encrypted.
+ * @param {Object|null} params - The cipher parameters recorded in the manifest.
+ * @returns {crypto.Hash|crypto.Hmac} - The hash, to update with the data and digest as hex.
+ */
+function createChecksum(key, params) {
+    if (!key || !params || params.checksum !== "hmac-sha256") return crypto.createHash("sha256");
+
+    const checksumKey = crypto.hkdfSync("sha256", key, Buffer.alloc(0), CHECKSUM_INFO, KEY_LENGTH);
+    return crypto.createHmac("sha256", Buffer.from(checksumKey));
+}
+
+/**
+ * Gets the additional authenticated data of a chunk, so chunks cannot be reordered without notice.
+ *
+ * @param {number} index - The index of the chunk.
+ * @returns {Buffer} - The additional authenticated data.
+ */
+function getChunkAAD(index) {
+    const aad = Buffer.alloc(4);
+    aad.writeUInt32BE(index);
+    return aad;
+}
+
+/**
+ * Encrypts a chunk. The result holds the random IV, the ciphertext and the authentication tag.
+ *
+ * @param {Buffer} key - The 256-bit key.
+ * @param {Buffer} data - The plaintext chunk.
+ * @param {number} index - The index of the chunk.
+ * @returns {Buffer} - The encrypted chunk.
+ */
+function encryptChunk(key, data, index) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(getChunkAAD(index));
+
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypts and authenticates a chunk produced by `encryptChunk`.
+ *
+ * @param {Buffer} key - The 256-bit key.
+ * @param {Buffer} data - The encrypted chunk.
+ * @param {number} index - The index of the chunk.
+ * @returns {Buffer} - The plaintext chunk.
+ * @throws {DecryptionError} - If the key is wrong or the chunk was tampered with.
+ */
+function decryptChunk(key, data, index) {
+    if (data.length < IV_LENGTH + TAG_LENGTH) {
+        throw new DecryptionError(`Chunk ${index} is too short to be encrypted.`, { chunkIndex: index });
+    }
+
+    const iv = data.subarray(0, IV_LENGTH);
+    const tag = data.subarray(data.length - TAG_LENGTH);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(getChunkAAD(index));
+    decipher.setAuthTag(tag);
+
+    try {
+        return Buffer.concat([decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH)), decipher.final()]);
+    } catch (err) {
+        throw new DecryptionError(`Chunk ${index} could not be decrypted, the encryption key is wrong or the data was tampered with.`, {
+            chunkIndex: index,
+            cause: err
+        });
+    }
+}
+
+module.exports = {
+    ALGORITHM,
+    createEncryption,
+    createChecksum,
+    deriveKey,
+    encryptChunk,
+    decryptChunk
+}
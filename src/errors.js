@@ -0,0 +1,230 @@
+/**
+ * Base class of the errors raised by DisFile.
+ *
+ * @class DisFileError
+ */
+class DisFileError extends Error {
+    /**
+     * Creates an instance of the DisFileError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options.
+     * @param {string} [options.code="DIS_FILE_ERROR"] - A machine readable error code.
+     * @param {*} [options.cause] - The error that caused this one.
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || "DIS_FILE_ERROR";
+        if (options.cause !== undefined) this.cause = options.cause;
+    }
+}
+
+/**
+ * Raised when an argument or an option is invalid, e.g. an empty file name or an empty file stream.
+ *
+ * @class ValidationError
+ */
+class ValidationError extends DisFileError {
+    /**
+     * Creates an instance of the ValidationError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options, see `DisFileError`.
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "VALIDATION_ERROR" });
+    }
+}
+
+/**
+ * Raised when a request to Discord fails for good, after the retries of server and network errors.
+ *
+ * @class RequestError
+ */
+class RequestError extends DisFileError {
+    /**
+     * Creates an instance of the RequestError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options, see `DisFileError`.
+     * @param {string} [options.code="REQUEST_ERROR"] - A machine readable error code.
+     * @param {number|null} [options.status=null] - The HTTP status of the response, or `null` if there was none (e.g. a network error).
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: options.code || "REQUEST_ERROR" });
+        this.status = options.status ?? null;
+    }
+}
+
+/**
+ * Raised when Discord rate limits a request for longer than the request client is willing to wait.
+ *
+ * @class RateLimitError
+ */
+class RateLimitError extends RequestError {
+    /**
+     * Creates an instance of the RateLimitError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options, see `RequestError`.
+     * @param {number} [options.retryAfter] - How long Discord asked to wait, in milliseconds.
+     * @param {boolean} [options.global=false] - Whether the limit applies to every request, not only to the route.
+     */
+    constructor(message, options = {}) {
+        super(message, { status: 429, ...options, code: "RATE_LIMIT_ERROR" });
+        this.retryAfter = options.retryAfter;
+        this.global = Boolean(options.global);
+    }
+}
+
+/**
+ * Raised when a message, a checkpoint or a webhook cannot be found, e.g. because the file was deleted.
+ *
+ * @class NotFoundError
+ */
+class NotFoundError extends DisFileError {
+    /**
+     * Creates an instance of the NotFoundError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options, see `DisFileError`.
+     * @param {number|null} [options.status=null] - The HTTP status of the response, if the error comes from a request.
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "NOT_FOUND" });
+        this.status = options.status ?? null;
+    }
+}
+
+/**
+ * Raised when a chunk cannot be uploaded through any webhook.
+ *
+ * @class ChunkUploadError
+ */
+class ChunkUploadError extends DisFileError {
+    /**
+     * Creates an instance of the ChunkUploadError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options, see `DisFileError`.
+     * @param {number} options.chunkIndex - The index of the chunk.
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "CHUNK_UPLOAD_ERROR" });
+        this.chunkIndex = options.chunkIndex;
+    }
+}
+
+/**
+ * Raised when the message or the attachment of a chunk cannot be downloaded.
+ *
+ * @class ChunkDownloadError
+ */
+class ChunkDownloadError extends DisFileError {
+    /**
+     * Creates an instance of the ChunkDownloadError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options, see `DisFileError`.
+     * @param {number|null} [options.chunkIndex=null] - The index of the chunk, if known.
+     * @param {string} [options.chunkID] - The message ID of the chunk.
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "CHUNK_DOWNLOAD_ERROR" });
+        this.chunkIndex = options.chunkIndex ?? null;
+        this.chunkID = options.chunkID;
+    }
+}
+
+/**
+ * Raised when downloaded data does not match the sizes or checksums recorded in the manifest.
+ *
+ * @class IntegrityError
+ */
+class IntegrityError extends DisFileError {
+    /**
+     * Creates an instance of the IntegrityError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options.
+     * @param {number|null} [options.chunkIndex=null] - The index of the bad chunk, or `null` when the whole file is bad.
+     * @param {string|null} [options.chunkID=null] - The message ID of the bad chunk.
+     * @param {string} [options.expected] - The expected checksum or size.
+     * @param {string} [options.actual] - The checksum or size of the received data.
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "INTEGRITY_ERROR" });
+        this.chunkIndex = options.chunkIndex ?? null;
+        this.chunkID = options.chunkID ?? null;
+        this.expected = options.expected;
+        this.actual = options.actual;
+    }
+}
+
+/**
+ * Raised when a manifest cannot be found, parsed or is of an unsupported version.
+ *
+ * @class ManifestParseError
+ */
+class ManifestParseError extends DisFileError {
+    /**
+     * Creates an instance of the ManifestParseError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options, see `DisFileError`.
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "MANIFEST_PARSE_ERROR" });
+    }
+}
+
+/**
+ * Raised when an encrypted file cannot be decrypted, because the key is missing or wrong or the data was tampered with.
+ *
+ * @class DecryptionError
+ */
+class DecryptionError extends DisFileError {
+    /**
+     * Creates an instance of the DecryptionError class.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [options] - Error options, see `DisFileError`.
+     * @param {number|null} [options.chunkIndex=null] - The index of the chunk that failed to decrypt.
+     */
+    constructor(message, options = {}) {
+        super(message, { ...options, code: "DECRYPTION_ERROR" });
+        this.chunkIndex = options.chunkIndex ?? null;
+    }
+}
+
+/**
+ * Raised when an upload or download is cancelled through its AbortSignal.
+ *
+ * @class AbortError
+ */
+class AbortError extends DisFileError {
+    /**
+     * Creates an instance of the AbortError class.
+     *
+     * @param {string} [message="The operation was aborted."] - The error message.
+     * @param {Object} [options] - Error options, see `DisFileError`.
+     */
+    constructor(message = "The operation was aborted.", options = {}) {
+        super(message, { ...options, code: "ABORT_ERR" });
+    }
+}
+
+module.exports = {
+    DisFileError,
+    ValidationError,
+    RequestError,
+    RateLimitError,
+    NotFoundError,
+    ChunkUploadError,
+    ChunkDownloadError,
+    IntegrityError,
+    ManifestParseError,
+    DecryptionError,
+    AbortError
+}
@@ -0,0 +1,324 @@
+const axios = require("axios")
+const { AbortError, RequestError, RateLimitError, NotFoundError } = require("../errors");
+
+/**
+ * Waits for the given amount of milliseconds.
+ *
+ * @param {number} ms - The time to wait in milliseconds.
+ * @returns {Promise<void>} - A promise that resolves once the time has passed.
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets the rate limit bucket key of a request. Discord limits webhooks per route,
+ * so message IDs are replaced with a placeholder and the query string is ignored.
+ *
+ * @param {string} method - The HTTP method of the request.
+ * @param {string} url - The URL of the request.
+ * @returns {string} - The key of the bucket the request belongs to.
+ */
+function getBucketKey(method, url) {
+    const path = url.split("?")[0].replace(/\/messages\/\d+$/, "/messages/:id");
+    return `${method.toUpperCase()} ${path}`;
+}
+
+/**
+ * Describes a request for error messages, without the webhook token or the query string.
+ *
+ * @param {string} method - The HTTP method of the request.
+ * @param {string} url - The URL of the request.
+ * @returns {string} - The description, e.g. `GET /api/webhooks/123/:token/messages/456`.
+ */
+function describeRequest(method, url) {
+    const path = url.split("?")[0].replace(/^\w+:\/\/[^/]+/, "").replace(/(\/webhooks\/\d+)\/[^/]+/, "$1/:token");
+    return `${method.toUpperCase()} ${path}`;
+}
+
+/**
+ * Converts the error of a failed request to the matching DisFileError.
+ *
+ * @param {Error} error - The axios error.
+ * @param {Object} config - The axios request config.
+ * @returns {RequestError|NotFoundError} - The error to reject the request with.
+ */
+function toRequestError(error, config) {
+    const request = describeRequest(config.method || "get", config.url);
+    const status = error.response ? error.response.status : null;
+
+    if (status === 404) return new NotFoundError(`${request} was not found.`, { status: status, cause: error });
+    if (status !== null) return new RequestError(`${request} failed with status ${status}.`, { status: status, cause: error });
+    return new RequestError(`${request} failed: ${error.message}`, { cause: error });
+}
+
+/**
+ * HTTP client for the webhook calls. Requests are queued per rate limit bucket and only sent
+ * while the bucket has requests remaining according to Discord's `X-RateLimit-*` headers.
+ * 429 responses are waited out using `Retry-After`, and 5xx responses and network errors are
+ * retried with exponential backoff. Requests failing for good reject with a `RequestError`, `NotFoundError` or `RateLimitError`.
+ *
+ * @class RequestClient
+ */
+class RequestClient {
+    /**
+     * Creates an instance of the RequestClient class.
+     *
+     * @param {Object} [options] - Client options.
+     * @param {number} [options.maxRetries=5] - How many times a request failing with a 5xx response or a network error is retried.
+     * @param {number} [options.baseDelay=1000] - The delay before the first retry in milliseconds, doubled on each further retry.
+     * @param {number} [options.maxDelay=30000] - The maximum delay between retries in milliseconds.
+     * @param {number} [options.maxRateLimitWait=60000] - The longest `Retry-After` of a 429 response that is waited out in milliseconds,
+     *                                                    longer ones reject the request with a `RateLimitError`.
+     */
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? 5;
+        this.baseDelay = options.baseDelay ?? 1000;
+        this.maxDelay = options.maxDelay ?? 30000;
+        this.maxRateLimitWait = options.maxRateLimitWait ?? 60000;
+
+        // Rate limit state of each bucket, by bucket key
+        this.buckets = new Map();
+        // Time until which every request is on hold because of a global rate limit
+        this.globalResetAt = 0;
+    }
+
+    /**
+     * Queues a request and resolves with its axios response once it succeeds.
+     * A `signal` in the config cancels the request, whether it is queued, waiting for a retry or in flight.
+     *
+     * @param {Object|Function} config - The axios request config, or a function returning it. A function is called
+     *                                   for every attempt, which is needed when the body (e.g. form-data) can only be sent once.
+     * @returns {Promise<Object>} - A promise that resolves with the axios response, or rejects with a DisFileError for the last failure.
+     */
+    request(config) {
+        return new Promise((resolve, reject) => {
+            const build = typeof config === "function" ? config : () => config;
+            const { method = "get", url, signal } = build();
+            if (signal && signal.aborted) return reject(new AbortError());
+
+            const bucket = this.#getBucket(getBucketKey(method, url));
+            const job = { build, resolve, reject, signal, attempt: 0 };
+
+            if (signal) {
+                // Take the request out of the queue, an in-flight request is cancelled by axios itself
+                const onAbort = () => {
+                    const index = bucket.queue.indexOf(job);
+                    if (index !== -1) bucket.queue.splice(index, 1);
+                    this.#release(bucket);
+                    reject(new AbortError());
+                };
+                signal.addEventListener("abort", onAbort, { once: true });
+                job.resolve = value => { signal.removeEventListener("abort", onAbort); resolve(value); };
+                job.reject = err => { signal.removeEventListener("abort", onAbort); reject(err); };
+            }
+
+            bucket.queue.push(job);
+            this.#drain(bucket);
+        });
+    }
+
+    /**
+     * Sends a GET request.
+     *
+     * @param {string} url - The URL to request.
+     * @param {Object} [config] - Additional axios request config.
+     * @returns {Promise<Object>} - A promise that resolves with the axios response.
+     */
+    get(url, config = {}) {
+        return this.request({ ...config, method: "get", url });
+    }
+
+    /**
+     * Sends a POST request.
+     *
+     * @param {string} url - The URL to request.
+     * @param {*} data - The request body.
+     * @param {Object} [config] - Additional axios request config.
+     * @returns {Promise<Object>} - A promise that resolves with the axios response.
+     */
+    post(url, data, config = {}) {
+        return this.request({ ...config, method: "post", url, data });
+    }
+
+    /**
+     * Gets the state of a bucket, creating it on first use.
+     *
+     * @param {string} key - The key of the bucket.
+     * @returns {Object} - The state of the bucket.
+     */
+    #getBucket(key) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, {
+                key: key,  // The key of the bucket in the map
+                queue: [],  // Requests waiting to be sent
+                inFlight: 0,  // Requests sent but not answered yet
+                limited: true,  // Whether the route sends rate limit headers at all
+                remaining: null,  // Requests left until the reset, null while unknown
+                resetAt: 0,  // Time at which the bucket resets
+                timer: null  // Timer waking the bucket up after a reset
+            });
+        }
+        return this.buckets.get(key);
+    }
+
+    /**
+     * Forgets a bucket once it is idle and holds no rate limit worth keeping, i.e. its route is not limited or its limit has reset.
+     * Routes like CDN attachment URLs get a bucket each, which would otherwise pile up. A bucket created again starts like a new one.
+     *
+     * @param {Object} bucket - The state of the bucket.
+     */
+    #release(bucket) {
+        if (bucket.queue.length > 0 || bucket.inFlight > 0 || bucket.timer) return;
+        if (bucket.limited && bucket.resetAt > Date.now()) return;
+        if (this.buckets.get(bucket.key) === bucket) this.buckets.delete(bucket.key);
+    }
+
+    /**
+     * Sends as many queued requests of a bucket as its rate limit allows.
+     *
+     * @param {Object} bucket - The state of the bucket.
+     */
+    #drain(bucket) {
+        while (bucket.queue.length > 0 && !bucket.timer) {
+            const now = Date.now();
+
+            // Wait for a global rate limit or the reset of an exhausted bucket
+            const waitUntil = Math.max(this.globalResetAt, bucket.remaining === 0 ? bucket.resetAt : 0);
+            if (waitUntil - now > this.maxRateLimitWait) {
+                // Too long to wait, fail the queued requests like the one that was rate limited
+                for (const job of bucket.queue.splice(0)) {
+                    const { method = "get", url } = job.build();
+                    job.reject(new RateLimitError(`${describeRequest(method, url)} is rate limited for ${waitUntil - now} ms.`, {
+                        retryAfter: waitUntil - now,
+                        global: this.globalResetAt === waitUntil
+                    }));
+                }
+                return;
+            }
+            if (waitUntil > now) {
+                bucket.timer = setTimeout(() => {
+                    bucket.timer = null;
+                    this.#drain(bucket);
+                }, waitUntil - now);
+                return;
+            }
+            if (bucket.remaining === 0) bucket.remaining = null;
+
+            // While the limit is unknown, only send one request to learn it from the response
+            if (bucket.limited && bucket.remaining === null && bucket.inFlight > 0) return;
+
+            const job = bucket.queue.shift();
+            bucket.inFlight++;
+            if (bucket.limited && bucket.remaining !== null) bucket.remaining--;
+            this.#send(bucket, job);
+        }
+    }
+
+    /**
+     * Sends one request and settles, requeues or retries it depending on the outcome.
+     *
+     * @param {Object} bucket - The state of the bucket the request belongs to.
+     * @param {Object} job - The queued request.
+     */
+    async #send(bucket, job) {
+        let response;
+        let error = null;
+        try {
+            response = await axios.request(job.build());
+        } catch (err) {
+            error = err;
+            response = err.response;
+        }
+
+        bucket.inFlight--;
+        if (response) this.#updateBucket(bucket, response);
+
+        if (!error) {
+            job.resolve(response);
+        } else if (axios.isCancel(error) || (job.signal && job.signal.aborted)) {
+            job.reject(new AbortError(undefined, { cause: error }));
+        } else if (response && response.status === 429) {
+            // Rate limited: requeue the request in front and wait for the reset
+            const retryAfter = this.#getRetryAfter(response);
+            const global = Boolean(response.headers["x-ratelimit-global"] || (response.data && response.data.global));
+            if (global) {
+                this.globalResetAt = Date.now() + retryAfter;
+            } else {
+                bucket.remaining = 0;
+                bucket.resetAt = Date.now() + retryAfter;
+            }
+
+            if (retryAfter > this.maxRateLimitWait) {
+                const { method = "get", url } = error.config || job.build();
+                job.reject(new RateLimitError(`${describeRequest(method, url)} is rate limited for ${retryAfter} ms.`, {
+                    retryAfter: retryAfter,
+                    global: global,
+                    cause: error
+                }));
+            } else {
+                bucket.queue.unshift(job);
+            }
+        } else if ((!response || response.status >= 500) && job.attempt < this.maxRetries) {
+            // Server or network error: retry with exponential backoff
+            const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** job.attempt);
+            job.attempt++;
+            sleep(delay).then(() => {
+                // The request may have been cancelled while waiting
+                if (job.signal && job.signal.aborted) return;
+                bucket.queue.unshift(job);
+                this.#drain(bucket);
+            });
+        } else {
+            job.reject(toRequestError(error, error.config || job.build()));
+        }
+
+        this.#drain(bucket);
+        this.#release(bucket);
+    }
+
+    /**
+     * Updates the rate limit state of a bucket from the headers of a response.
+     *
+     * @param {Object} bucket - The state of the bucket.
+     * @param {Object} response - The axios response.
+     */
+    #updateBucket(bucket, response) {
+        const remaining = response.headers["x-ratelimit-remaining"];
+        const resetAfter = response.headers["x-ratelimit-reset-after"];
+
+        // Routes without rate limit headers (e.g. the CDN) are not limited
+        if (remaining === undefined) {
+            if (response.status !== 429) bucket.limited = false;
+            return;
+        }
+
+        bucket.limited = true;
+        bucket.remaining = Number(remaining);
+        if (resetAfter !== undefined) bucket.resetAt = Date.now() + Number(resetAfter) * 1000;
+    }
+
+    /**
+     * Gets how long to wait after a 429 response, in milliseconds.
+     *
+     * @param {Object} response - The axios response.
+     * @returns {number} - The time to wait in milliseconds.
+     */
+    #getRetryAfter(response) {
+        // The body holds the most precise value, in seconds
+        if (response.data && typeof response.data.retry_after === "number") {
+            return Math.ceil(response.data.retry_after * 1000);
+        }
+        const header = response.headers["retry-after"] ?? response.headers["x-ratelimit-reset-after"];
+        if (header !== undefined && !isNaN(Number(header))) return Math.ceil(Number(header) * 1000);
+        return this.baseDelay;
+    }
+}
+
+// Shared client, so every module respects the same rate limits
+const client = new RequestClient();
+
+module.exports = {
+    RequestClient,
+    client
+}
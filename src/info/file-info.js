@@ -0,0 +1,50 @@
+const { getManifest } = require("../download/download-file");
+const { getSnowflakeDate } = require("../utils");
+
+/**
+ * Describes a stored file from its manifest, see `getFileInfo`.
+ *
+ * @param {string} filePrimaryID - The primary ID of the file.
+ * @param {Object} manifest - The normalized manifest of the file.
+ * @returns {Object} - The file metadata.
+ */
+function describeFile(filePrimaryID, manifest) {
+    // Older manifests do not record a creation time, the ID of the manifest message does
+    const uploadedAt = getSnowflakeDate(filePrimaryID);
+
+    return {
+        primaryID: filePrimaryID,
+        fileName: manifest.filename,
+        // Compressed files are described by their original size
+        size: manifest.compression ? manifest.compression.originalSize : manifest.size,
+        storedSize: manifest.size,
+        mimeType: manifest.mimeType,
+        chunkCount: manifest.chunks.length,
+        chunkSize: manifest.chunkSize,
+        chunkIDs: manifest.chunks.map(chunk => chunk.id),
+        sha256: manifest.sha256,
+        encrypted: Boolean(manifest.encryption),
+        compression: manifest.compression ? manifest.compression.codec : null,
+        createdAt: manifest.createdAt ? new Date(manifest.createdAt) : uploadedAt,
+        uploadedAt: uploadedAt,
+        manifestVersion: manifest.version
+    };
+}
+
+/**
+ * Gets the metadata of a stored file from its manifest, without downloading its data.
+ *
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the Discord webhooks to fetch the messages from.
+ * @param {string} filePrimaryID - The primary ID of the file.
+ * @returns {Promise<Object>} - A promise that resolves with the file metadata. Fields not recorded by older uploads are `null`.
+ *                              `size` is the size of the original file, `storedSize` and `sha256` describe it as stored (after compression).
+ *                              The `sha256` of encrypted files is an HMAC keyed with the encryption key.
+ */
+async function getFileInfo(webhooks, filePrimaryID) {
+    return describeFile(filePrimaryID, await getManifest(webhooks, filePrimaryID));
+}
+
+module.exports = {
+    describeFile,
+    getFileInfo
+}
@@ -0,0 +1,171 @@
+const { ManifestParseError } = require("./errors");
+const { getMimeType } = require("./utils");
+
+// Current version of the manifest format
+const MANIFEST_VERSION = 2;
+
+// Name of the attachment holding the manifest
+const MANIFEST_FILENAME = "manifest.json";
+
+/**
+ * Creates a manifest describing an uploaded file.
+ *
+ * @param {Object} file - The details of the uploaded file.
+ * @param {string} file.fileName - The name of the file (including file extension).
+ * @param {number} file.size - The size of the file in bytes, as stored (after compression, before encryption).
+ * @param {string} file.sha256 - The hex SHA-256 checksum of the file, as stored.
+ * @param {number} file.chunkSize - The size of each chunk in bytes (the last one may be smaller).
+ * @param {Array<Object>} file.chunks - The `id`, `webhook` (ID of the webhook that sent it), `size` and `sha256` of each chunk as stored, in order.
+ * @param {Object|null} [file.encryption] - The cipher parameters if the chunks are encrypted (never the key).
+ * @param {Object|null} [file.compression] - The `codec` and `originalSize` if the file was compressed before chunking.
+ * @param {Object} [file.options] - The upload options to record.
+ * @returns {Object} - The manifest.
+ */
+function createManifest(file) {
+    return {
+        version: MANIFEST_VERSION,
+        type: "file",
+        filename: file.fileName,
+        size: file.size,
+        sha256: file.sha256,
+        chunkSize: file.chunkSize,
+        mimeType: getMimeType(file.fileName),
+        createdAt: new Date().toISOString(),
+        encryption: file.encryption || null,
+        compression: file.compression || null,
+        options: file.options || {},
+        chunks: file.chunks.map((chunk, index) => ({
+            index: index,
+            id: chunk.id,
+            webhook: chunk.webhook,
+            size: chunk.size,
+            sha256: chunk.sha256
+        }))
+    };
+}
+
+/**
+ * Creates a manifest describing an uploaded directory. Each file is stored as its own upload, which the manifest points to.
+ *
+ * @param {Object} directory - The details of the uploaded directory.
+ * @param {string} directory.name - The name of the directory.
+ * @param {Array<Object>} directory.directories - The `path` (relative, with `/` separators) and `mode` of each subdirectory, so empty ones are kept.
+ * @param {Array<Object>} directory.files - The `path`, `primaryID`, `size`, `sha256`, `mode` and `mtime` of each file. Files with the same content share a primary ID.
+ * @param {Object|null} [directory.encryption] - The cipher parameters the checksums of the files are keyed with, if the files are encrypted (never the key).
+ * @returns {Object} - The manifest.
+ */
+function createDirectoryManifest(directory) {
+    return {
+        version: MANIFEST_VERSION,
+        type: "directory",
+        name: directory.name,
+        createdAt: new Date().toISOString(),
+        directories: directory.directories.map(dir => ({
+            path: dir.path,
+            mode: dir.mode
+        })),
+        files: directory.files.map(file => ({
+            path: file.path,
+            primaryID: file.primaryID,
+            size: file.size,
+            sha256: file.sha256,
+            mode: file.mode,
+            mtime: file.mtime
+        })),
+        encryption: directory.encryption || null
+    };
+}
+
+/**
+ * Parses a manifest and normalizes it to the current format. Legacy manifests (`{ filename, ids }`,
+ * optionally with checksums) are converted, leaving the fields they do not record as `null`.
+ *
+ * @param {string|Object} data - The manifest as JSON or as an already parsed object.
+ * @returns {Object} - The normalized manifest.
+ * @throws {ManifestParseError} - If the data is not a valid manifest.
+ */
+function parseManifest(data) {
+    let manifest = data;
+    if (typeof data === "string") {
+        try {
+            manifest = JSON.parse(data);
+        } catch (err) {
+            throw new ManifestParseError("Manifest is not valid JSON: " + err.message, { cause: err });
+        }
+    }
+
+    if (!manifest || typeof manifest !== "object") {
+        throw new ManifestParseError("Manifest is not an object.");
+    }
+
+    // Legacy manifests have no version and list the chunk IDs in `ids`
+    if (manifest.version === undefined) {
+        if (!Array.isArray(manifest.ids)) {
+            throw new ManifestParseError("Manifest does not list any chunk IDs.");
+        }
+        return {
+            version: 1,
+            type: "file",
+            filename: manifest.filename,
+            size: manifest.size ?? null,
+            sha256: manifest.sha256 ?? null,
+            chunkSize: null,
+            mimeType: getMimeType(manifest.filename || ""),
+            createdAt: null,
+            encryption: null,
+            compression: null,
+            options: {},
+            chunks: manifest.ids.map((id, index) => ({
+                index: index,
+                id: id,
+                webhook: null,
+                size: manifest.chunks ? manifest.chunks[index].size : null,
+                sha256: manifest.chunks ? manifest.chunks[index].sha256 : null
+            }))
+        };
+    }
+
+    if (manifest.version > MANIFEST_VERSION) {
+        throw new ManifestParseError(`Manifest version ${manifest.version} is not supported, update node-dis-file.`);
+    }
+    if (manifest.type === "directory") {
+        if (!Array.isArray(manifest.files)) {
+            throw new ManifestParseError("Directory manifest does not list any files.");
+        }
+        return { ...manifest, directories: manifest.directories || [] };
+    }
+    if (!Array.isArray(manifest.chunks)) {
+        throw new ManifestParseError("Manifest does not list any chunks.");
+    }
+    // Manifests written before compression was supported do not record it
+    return { ...manifest, compression: manifest.compression || null };
+}
+
+/**
+ * Reads the manifest JSON from a Discord message. Current manifests are stored as a JSON
+ * attachment, legacy ones as JSON inside a code block in the message content.
+ *
+ * @param {Object} message - The Discord message holding the manifest.
+ * @returns {{ url: string }|{ json: string }} - The URL of the manifest attachment, or the JSON of a legacy manifest.
+ * @throws {ManifestParseError} - If the message does not hold a manifest.
+ */
+function locateManifest(message) {
+    const attachment = (message.attachments || []).find(file => file.filename === MANIFEST_FILENAME);
+    if (attachment) return { url: attachment.url };
+
+    // Remove the code block markers of legacy manifests
+    if (message.content && message.content.startsWith("```")) {
+        return { json: message.content.replaceAll("```", "") };
+    }
+
+    throw new ManifestParseError(`Message ${message.id} does not hold a manifest.`);
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    MANIFEST_FILENAME,
+    createManifest,
+    createDirectoryManifest,
+    parseManifest,
+    locateManifest
+}
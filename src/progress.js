@@ -0,0 +1,67 @@
+// Time span over which the throughput is measured, in milliseconds
+const THROUGHPUT_WINDOW = 5000;
+
+/**
+ * Tracks the progress of an upload or download and reports it to an `onProgress` callback.
+ *
+ * @class ProgressTracker
+ */
+class ProgressTracker {
+    /**
+     * Creates an instance of the ProgressTracker class.
+     *
+     * @param {Function} onProgress - Called with the progress every time it changes.
+     * @param {Object} [totals] - The totals, if known.
+     * @param {number|null} [totals.totalBytes=null] - The number of bytes to transfer.
+     * @param {number|null} [totals.totalChunks=null] - The number of chunks to transfer.
+     */
+    constructor(onProgress, totals = {}) {
+        this.onProgress = onProgress;
+        this.totalBytes = totals.totalBytes ?? null;
+        this.totalChunks = totals.totalChunks ?? null;
+        this.bytes = 0;
+
+        // Recent [time, bytes] samples, to measure the current throughput
+        this.samples = [[Date.now(), 0]];
+    }
+
+    /**
+     * Records transferred bytes and reports the progress.
+     *
+     * @param {number} bytes - The number of bytes just transferred.
+     * @param {number} chunkIndex - The index of the chunk they belong to.
+     */
+    add(bytes, chunkIndex) {
+        const now = Date.now();
+        this.bytes += bytes;
+
+        // Keep the samples of the window, plus the one just before it as the reference point
+        this.samples.push([now, this.bytes]);
+        while (this.samples.length > 2 && this.samples[1][0] < now - THROUGHPUT_WINDOW) this.samples.shift();
+        const [since, sinceBytes] = this.samples[0];
+
+        this.onProgress({
+            bytes: this.bytes,
+            totalBytes: this.totalBytes,
+            chunkIndex: chunkIndex,
+            totalChunks: this.totalChunks,
+            bytesPerSecond: now > since ? Math.round((this.bytes - sinceBytes) * 1000 / (now - since)) : 0
+        });
+    }
+}
+
+/**
+ * Creates a progress tracker if an `onProgress` callback was given.
+ *
+ * @param {Function} [onProgress] - Called with the progress every time it changes.
+ * @param {Object} [totals] - The totals, if known, see `ProgressTracker`.
+ * @returns {ProgressTracker|null} - The tracker, or `null` without a callback.
+ */
+function createProgressTracker(onProgress, totals) {
+    return typeof onProgress === "function" ? new ProgressTracker(onProgress, totals) : null;
+}
+
+module.exports = {
+    ProgressTracker,
+    createProgressTracker
+}
@@ -0,0 +1,238 @@
+const http = require("http");
+const stream = require("stream");
+
+const DisFile = require("../classes/DisFile");
+const { WebhookPool } = require("../webhook-pool");
+const { getManifest } = require("../download/download-file");
+const { describeFile } = require("../info/file-info");
+const { DisFileError, ValidationError, NotFoundError, ManifestParseError, RateLimitError } = require("../errors");
+
+/**
+ * Parses a `Range` header against the size of a file. Only single byte ranges are supported, others are ignored
+ * and the whole file is sent, as HTTP allows.
+ *
+ * @param {string} header - The value of the `Range` header.
+ * @param {number} size - The size of the file in bytes.
+ * @returns {{ start: number, end: number }|null|false} - The first and last (inclusive) byte of the range, `null` to send
+ *                                                       the whole file or `false` if the range cannot be satisfied.
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === "" && match[2] === "")) return null;
+
+    // A suffix range (`bytes=-500`) asks for the last bytes
+    if (match[1] === "") {
+        const length = Number(match[2]);
+        if (length === 0) return false;
+        return { start: Math.max(0, size - length), end: size - 1 };
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (start >= size || end < start) return false;
+    return { start: start, end: end };
+}
+
+/**
+ * Builds a `Content-Disposition` header, with an ASCII fallback of the name for old clients.
+ *
+ * @param {string} type - `attachment` or `inline`.
+ * @param {string} fileName - The name of the file.
+ * @returns {string} - The value of the header.
+ */
+function getContentDisposition(type, fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Gets the HTTP status code to answer a failed request with.
+ *
+ * @param {Error} err - The error.
+ * @returns {number} - The status code.
+ */
+function getStatusCode(err) {
+    if (err instanceof ValidationError) return 400;
+    // Unknown messages, or messages that do not hold a manifest
+    if (err instanceof NotFoundError || err instanceof ManifestParseError) return 404;
+    if (err instanceof RateLimitError) return 503;
+    // Discord failed, or returned data that does not check out
+    if (err instanceof DisFileError) return 502;
+    return 500;
+}
+
+/**
+ * Answers a request with a JSON body.
+ *
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} statusCode - The status code.
+ * @param {Object} body - The body.
+ * @param {Object} [headers] - More headers.
+ */
+function sendJSON(res, statusCode, body, headers = {}) {
+    const json = JSON.stringify(body);
+    res.writeHead(statusCode, {
+        ...headers,
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(json)
+    });
+    res.end(json);
+}
+
+/**
+ * Sends a stored file, or the byte range the request asks for.
+ *
+ * @param {DisFile} disFile - The client to read the file with.
+ * @param {WebhookPool} webhooks - The webhooks of the client, to fetch the manifest with.
+ * @param {string} filePrimaryID - The primary ID of the file.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {Object} options - The server options.
+ * @param {AbortSignal} signal - A signal aborted once the client goes away.
+ */
+async function sendFile(disFile, webhooks, filePrimaryID, req, res, options, signal) {
+    // The manifest is fetched once, for the headers and then for the data
+    const manifest = await getManifest(webhooks, filePrimaryID, signal);
+    const info = describeFile(filePrimaryID, manifest);
+    const sizeKnown = info.size !== null;
+
+    const headers = {
+        "Content-Type": info.mimeType,
+        "Content-Disposition": getContentDisposition(options.disposition || "attachment", info.fileName)
+    };
+    if (sizeKnown) headers["Accept-Ranges"] = "bytes";
+
+    // Files uploaded without a recorded size can only be sent whole, with an unknown length
+    const range = sizeKnown && req.headers.range ? parseRange(req.headers.range, info.size) : null;
+    if (range === false) {
+        res.writeHead(416, { "Content-Range": `bytes */${info.size}` });
+        return res.end();
+    }
+
+    let statusCode = 200;
+    if (range) {
+        statusCode = 206;
+        headers["Content-Range"] = `bytes ${range.start}-${range.end}/${info.size}`;
+        headers["Content-Length"] = range.end - range.start + 1;
+    } else if (sizeKnown) {
+        headers["Content-Length"] = info.size;
+    }
+
+    if (req.method === "HEAD") {
+        res.writeHead(statusCode, headers);
+        return res.end();
+    }
+
+    const data = range
+        ? disFile.readRangeStream(filePrimaryID, range.start, range.end, { signal, manifest })
+        : disFile.downloadFileStream(filePrimaryID, { signal, manifest });
+
+    // Wait for the first data before answering, so errors before it (e.g. a missing key) still get a status code
+    const iterator = data[Symbol.asyncIterator]();
+    const first = await iterator.next();
+
+    res.writeHead(statusCode, headers);
+    const body = (async function* () {
+        try {
+            for (let next = first; !next.done; next = await iterator.next()) yield next.value;
+        } finally {
+            await iterator.return();
+        }
+    })();
+
+    // Headers are sent, a failure can only cut the response short
+    await stream.promises.pipeline(body, res);
+}
+
+/**
+ * Uploads the body of a request and answers with the primary ID.
+ *
+ * @param {DisFile} disFile - The client to upload the file with.
+ * @param {string} fileName - The name to store the file under.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {AbortSignal} signal - A signal aborted once the client goes away.
+ */
+async function receiveFile(disFile, fileName, req, res, signal) {
+    const length = Number(req.headers["content-length"]);
+    const fileDetails = await disFile.uploadFileStream(req, fileName, {
+        totalBytes: Number.isInteger(length) ? length : undefined,
+        signal: signal
+    });
+
+    sendJSON(res, 201, { primaryID: fileDetails.primaryID, fileName: fileDetails.fileName }, {
+        Location: `/files/${fileDetails.primaryID}`
+    });
+}
+
+/**
+ * Creates an HTTP gateway to the files stored through a webhook, e.g. to run as a sidecar. It serves:
+ *
+ * - `GET /files/:primaryID` and `HEAD /files/:primaryID`: the stored file, with its `Content-Type`, `Content-Length`
+ *   and `Content-Disposition` from the manifest, and single byte ranges through `Range`.
+ * - `PUT /files/:fileName` and `POST /files?name=:fileName`: uploads the body and answers `201` with the `primaryID` as JSON.
+ *
+ * The server is returned without listening, call `listen` on it.
+ *
+ * @param {Object} options - Server options, the other options are the default options of the DisFile client (e.g. `encryptionKey`).
+ * @param {string|Array<string>} options.webhookURL - The Discord webhook URL(s) to send/get files to/from.
+ * @param {string} [options.disposition="attachment"] - The `Content-Disposition` type of served files, `attachment` or `inline`.
+ * @returns {http.Server} - The HTTP server.
+ */
+function createServer(options = {}) {
+    const { webhookURL, disposition, ...clientOptions } = options;
+    if (!webhookURL) throw new ValidationError("createServer requires a webhookURL.");
+    // The pool is shared with the client, the server fetches the manifests of served files itself
+    const webhooks = WebhookPool.from(webhookURL, {
+        strategy: clientOptions.webhookStrategy,
+        maxFailures: clientOptions.maxWebhookFailures,
+        transport: clientOptions.transport
+    });
+    const disFile = new DisFile(webhooks, clientOptions);
+
+    return http.createServer(async (req, res) => {
+        // Stop the download or upload once the client goes away
+        const controller = new AbortController();
+        res.on("close", () => controller.abort());
+
+        try {
+            const url = new URL(req.url, "http://localhost");
+            let segments;
+            try {
+                segments = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+            } catch (err) {
+                // A malformed escape in the path cannot name any file
+                if (!(err instanceof URIError)) throw err;
+                return sendJSON(res, 400, { error: "Malformed URL." });
+            }
+
+            if (segments[0] !== "files" || segments.length > 2) {
+                return sendJSON(res, 404, { error: "Not found." });
+            }
+
+            if (segments.length === 2 && (req.method === "GET" || req.method === "HEAD")) {
+                if (!/^\d+$/.test(segments[1])) return sendJSON(res, 404, { error: "Not found." });
+                return await sendFile(disFile, webhooks, segments[1], req, res, { disposition }, controller.signal);
+            }
+
+            if ((req.method === "PUT" && segments.length === 2) || (req.method === "POST" && segments.length === 1)) {
+                const fileName = segments[1] || url.searchParams.get("name");
+                if (!fileName) return sendJSON(res, 400, { error: "The file name is missing, pass ?name=." });
+                return await receiveFile(disFile, fileName, req, res, controller.signal);
+            }
+
+            sendJSON(res, 405, { error: "Method not allowed." }, { Allow: segments.length === 2 ? "GET, HEAD, PUT" : "POST" });
+        } catch (err) {
+            if (res.headersSent) return res.destroy(err);
+            if (controller.signal.aborted) return;
+
+            // Tell clients when Discord will accept requests again
+            const headers = err instanceof RateLimitError ? { "Retry-After": Math.ceil(err.retryAfter / 1000) } : {};
+            sendJSON(res, getStatusCode(err), { error: err.message, code: err.code }, headers);
+        }
+    });
+}
+
+module.exports = {
+    createServer
+}
@@ -0,0 +1,112 @@
+const FormData = require('form-data');
+const { client } = require("../http/request-client");
+
+/**
+ * Transport sending the messages of uploads through Discord webhooks, the default one.
+ *
+ * A transport is any object with the five async methods below, which is all DisFile needs from the place files are stored:
+ * messages are posted and fetched through a webhook URL (or any other string naming where they go), each message
+ * holds at most one attachment, and attachments are fetched by the URL the message lists. Failed requests reject with
+ * a RequestError holding the HTTP `status`, a NotFoundError (status 404) for a missing message or attachment.
+ *
+ * @class DiscordTransport
+ */
+class DiscordTransport {
+    /**
+     * Creates an instance of the DiscordTransport class.
+     *
+     * @param {Object} [options] - Transport options.
+     * @param {RequestClient} [options.client] - The request client, which respects the rate limits (default is the client shared by every instance).
+     */
+    constructor(options = {}) {
+        this.client = options.client || client;
+    }
+
+    /**
+     * Posts a message holding one attachment.
+     *
+     * @param {string} webhookURL - The URL of the Discord webhook.
+     * @param {Buffer} data - The data of the attachment. Requests are retried on failure, so this must not be a stream.
+     * @param {string} fileName - The file name of the attachment.
+     * @param {Object} [options] - Request options.
+     * @param {string} [options.content] - The text content of the message.
+     * @param {string} [options.contentType] - The content type of the attachment.
+     * @param {AbortSignal} [options.signal] - A signal to cancel the request.
+     * @returns {Promise<Object>} - A promise that resolves with the posted message, holding its `id`.
+     */
+    async postAttachment(webhookURL, data, fileName, options = {}) {
+        // The form is built for every attempt, since its body can only be sent once
+        const res = await this.client.request(() => {
+            const form = new FormData();
+            if (options.content) form.append('payload_json', JSON.stringify({ content: options.content }));
+            form.append('file', data, { filename: fileName, contentType: options.contentType });
+
+            return {
+                method: "post",
+                url: `${webhookURL}?wait=true`,
+                data: form,
+                headers: {
+                    ...form.getHeaders()  // Include the appropriate headers for the form data
+                },
+                signal: options.signal
+            };
+        });
+        return { ...res.data, id: String(res.data.id) };
+    }
+
+    /**
+     * Posts a message with text content only.
+     *
+     * @param {string} webhookURL - The URL of the Discord webhook.
+     * @param {string} content - The text content of the message.
+     * @param {Object} [options] - Request options.
+     * @param {AbortSignal} [options.signal] - A signal to cancel the request.
+     * @returns {Promise<Object>} - A promise that resolves with the posted message, holding its `id`.
+     */
+    async postMessage(webhookURL, content, options = {}) {
+        const res = await this.client.post(`${webhookURL}?wait=true`, { content: content }, { signal: options.signal });
+        return { ...res.data, id: String(res.data.id) };
+    }
+
+    /**
+     * Fetches a message sent by the webhook. Discord issues fresh attachment URLs with every fetch.
+     *
+     * @param {string} webhookURL - The URL of the Discord webhook that sent the message.
+     * @param {string} messageID - The ID of the message.
+     * @param {Object} [options] - Request options.
+     * @param {AbortSignal} [options.signal] - A signal to cancel the request.
+     * @returns {Promise<Object>} - A promise that resolves with the message: its `id`, `content` and `attachments` (each with a `filename` and `url`).
+     */
+    async getMessage(webhookURL, messageID, options = {}) {
+        const res = await this.client.get(`${webhookURL}/messages/${messageID}`, { signal: options.signal });
+        return res.data;
+    }
+
+    /**
+     * Deletes a message sent by the webhook.
+     *
+     * @param {string} webhookURL - The URL of the Discord webhook that sent the message.
+     * @param {string} messageID - The ID of the message.
+     * @param {Object} [options] - Request options.
+     * @param {AbortSignal} [options.signal] - A signal to cancel the request.
+     * @returns {Promise<void>} - A promise that resolves once the message is deleted.
+     */
+    async deleteMessage(webhookURL, messageID, options = {}) {
+        await this.client.request({ method: "delete", url: `${webhookURL}/messages/${messageID}`, signal: options.signal });
+    }
+
+    /**
+     * Fetches the data of an attachment.
+     *
+     * @param {string} url - The URL of the attachment, as listed in its message.
+     * @param {Object} [options] - Request options.
+     * @param {AbortSignal} [options.signal] - A signal to cancel the request.
+     * @returns {Promise<stream.Readable>} - A promise that resolves with a Readable stream of the data, once the response starts.
+     */
+    async fetchAttachment(url, options = {}) {
+        const res = await this.client.get(url, { responseType: 'stream', signal: options.signal });
+        return res.data;
+    }
+}
+
+module.exports = DiscordTransport
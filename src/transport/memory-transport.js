@@ -0,0 +1,158 @@
+const stream = require("stream");
+const { createSnowflake } = require("../utils");
+const { NotFoundError, AbortError } = require("../errors");
+
+/**
+ * Transport keeping messages and attachments in memory, e.g. to test code using DisFile without Discord.
+ * Webhook URLs can be any string, each one only sees the messages it posted, like a Discord webhook.
+ * Message IDs are snowflakes, so upload dates work as with Discord.
+ *
+ * @class MemoryTransport
+ */
+class MemoryTransport {
+    // Stored messages, by message ID - Private field
+    #messages = new Map();
+    // Data of the attachments, by URL - Private field
+    #attachments = new Map();
+    // Last message ID given out, so IDs always increase - Private field
+    #lastID = 0n;
+
+    /**
+     * The number of messages stored.
+     *
+     * @type {number}
+     */
+    get size() {
+        return this.#messages.size;
+    }
+
+    /**
+     * Stores a message and gives it the next ID.
+     *
+     * @param {string} webhookURL - The webhook posting the message.
+     * @param {string} content - The text content of the message.
+     * @param {Object} [attachment] - The `data` and `fileName` of its attachment.
+     * @param {AbortSignal} [signal] - A signal to cancel the request.
+     * @returns {Object} - A copy of the stored message.
+     */
+    #store(webhookURL, content, attachment, signal) {
+        if (signal && signal.aborted) throw new AbortError();
+
+        // IDs created in the same millisecond follow the last one
+        const id = BigInt(createSnowflake(Date.now()));
+        this.#lastID = id > this.#lastID ? id : this.#lastID + 1n;
+        const messageID = this.#lastID.toString();
+
+        const message = { id: messageID, webhookURL: webhookURL, content: content || "", attachments: [] };
+        if (attachment) {
+            const url = `memory://attachments/${messageID}/${encodeURIComponent(attachment.fileName)}`;
+            // Copy the data, the caller may reuse its buffer
+            this.#attachments.set(url, Buffer.from(attachment.data));
+            message.attachments.push({ id: messageID, filename: attachment.fileName, size: attachment.data.length, url: url });
+        }
+        this.#messages.set(messageID, message);
+
+        return this.#toMessage(message);
+    }
+
+    /**
+     * Gets a stored message as a webhook sees it.
+     *
+     * @param {string} webhookURL - The webhook asking for the message.
+     * @param {string} messageID - The ID of the message.
+     * @returns {Object} - The stored message.
+     * @throws {NotFoundError} - If the message does not exist or was posted by another webhook.
+     */
+    #find(webhookURL, messageID) {
+        const message = this.#messages.get(String(messageID));
+        if (!message || message.webhookURL !== webhookURL) {
+            throw new NotFoundError(`Message ${messageID} was not found.`, { status: 404 });
+        }
+        return message;
+    }
+
+    /**
+     * Copies a stored message the way Discord returns it.
+     *
+     * @param {Object} message - The stored message.
+     * @returns {Object} - The `id`, `content` and `attachments` of the message.
+     */
+    #toMessage(message) {
+        return {
+            id: message.id,
+            content: message.content,
+            attachments: message.attachments.map(attachment => ({ ...attachment }))
+        };
+    }
+
+    /**
+     * Posts a message holding one attachment, see `DiscordTransport`.
+     *
+     * @param {string} webhookURL - The webhook posting the message.
+     * @param {Buffer} data - The data of the attachment.
+     * @param {string} fileName - The file name of the attachment.
+     * @param {Object} [options] - The `content` of the message and a `signal`.
+     * @returns {Promise<Object>} - A promise that resolves with the posted message.
+     */
+    async postAttachment(webhookURL, data, fileName, options = {}) {
+        return this.#store(webhookURL, options.content, { data, fileName }, options.signal);
+    }
+
+    /**
+     * Posts a message with text content only, see `DiscordTransport`.
+     *
+     * @param {string} webhookURL - The webhook posting the message.
+     * @param {string} content - The text content of the message.
+     * @param {Object} [options] - A `signal`.
+     * @returns {Promise<Object>} - A promise that resolves with the posted message.
+     */
+    async postMessage(webhookURL, content, options = {}) {
+        return this.#store(webhookURL, content, null, options.signal);
+    }
+
+    /**
+     * Fetches a message posted by the webhook, see `DiscordTransport`.
+     *
+     * @param {string} webhookURL - The webhook that posted the message.
+     * @param {string} messageID - The ID of the message.
+     * @param {Object} [options] - A `signal`.
+     * @returns {Promise<Object>} - A promise that resolves with the message.
+     */
+    async getMessage(webhookURL, messageID, options = {}) {
+        if (options.signal && options.signal.aborted) throw new AbortError();
+        return this.#toMessage(this.#find(webhookURL, messageID));
+    }
+
+    /**
+     * Deletes a message posted by the webhook and its attachment, see `DiscordTransport`.
+     *
+     * @param {string} webhookURL - The webhook that posted the message.
+     * @param {string} messageID - The ID of the message.
+     * @param {Object} [options] - A `signal`.
+     * @returns {Promise<void>} - A promise that resolves once the message is deleted.
+     */
+    async deleteMessage(webhookURL, messageID, options = {}) {
+        if (options.signal && options.signal.aborted) throw new AbortError();
+
+        const message = this.#find(webhookURL, messageID);
+        message.attachments.forEach(attachment => this.#attachments.delete(attachment.url));
+        this.#messages.delete(message.id);
+    }
+
+    /**
+     * Fetches the data of an attachment, see `DiscordTransport`.
+     *
+     * @param {string} url - The URL of the attachment.
+     * @param {Object} [options] - A `signal`.
+     * @returns {Promise<stream.Readable>} - A promise that resolves with a Readable stream of the data.
+     */
+    async fetchAttachment(url, options = {}) {
+        if (options.signal && options.signal.aborted) throw new AbortError();
+
+        const data = this.#attachments.get(url);
+        if (!data) throw new NotFoundError(`Attachment ${url} was not found.`, { status: 404 });
+        return stream.Readable.from([data]);
+    }
+}
+
+module.exports = MemoryTransport
@@ -0,0 +1,87 @@
+const fs = require("fs")
+const os = require("os");
+const path = require("path");
+const { ValidationError } = require("../errors");
+
+/**
+ * Stores upload checkpoints as JSON files in a local directory.
+ * Any object with the same async `get`, `set` and `delete` methods can be used instead.
+ *
+ * @class FileCheckpointStore
+ */
+class FileCheckpointStore {
+    // Pending writes of each checkpoint, so they happen one after another - Private field
+    #writes = new Map();
+
+    /**
+     * Creates an instance of the FileCheckpointStore class.
+     *
+     * @param {string} [directory] - The directory to store the checkpoints in (default is `node-dis-file` in the OS temp directory).
+     */
+    constructor(directory = path.join(os.tmpdir(), "node-dis-file")) {
+        this.directory = directory;
+    }
+
+    /**
+     * Gets the path of the checkpoint file of a session.
+     *
+     * @param {string} sessionId - The ID of the upload session.
+     * @returns {string} - The path of the checkpoint file.
+     */
+    #getPath(sessionId) {
+        // Session IDs are generated as UUIDs, anything else could escape the directory
+        if (!/^[\w-]+$/.test(sessionId)) throw new ValidationError(`Invalid session ID: ${sessionId}`);
+        return path.join(this.directory, `${sessionId}.json`);
+    }
+
+    /**
+     * Reads the checkpoint of a session.
+     *
+     * @param {string} sessionId - The ID of the upload session.
+     * @returns {Promise<Object|null>} - A promise that resolves with the checkpoint, or `null` if there is none.
+     */
+    async get(sessionId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.#getPath(sessionId), "utf8"));
+        } catch (err) {
+            if (err.code === "ENOENT") return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Writes the checkpoint of a session. The file is replaced atomically, so a crash never leaves a partial checkpoint.
+     *
+     * @param {string} sessionId - The ID of the upload session.
+     * @param {Object} checkpoint - The checkpoint to write.
+     * @returns {Promise<void>} - A promise that resolves once the checkpoint is written.
+     */
+    set(sessionId, checkpoint) {
+        const filePath = this.#getPath(sessionId);
+        const json = JSON.stringify(checkpoint);
+
+        const write = (this.#writes.get(sessionId) || Promise.resolve())
+            .catch(() => { })
+            .then(async () => {
+                await fs.promises.mkdir(this.directory, { recursive: true });
+                await fs.promises.writeFile(filePath + ".tmp", json);
+                await fs.promises.rename(filePath + ".tmp", filePath);
+            });
+        this.#writes.set(sessionId, write);
+        return write;
+    }
+
+    /**
+     * Deletes the checkpoint of a session.
+     *
+     * @param {string} sessionId - The ID of the upload session.
+     * @returns {Promise<void>} - A promise that resolves once the checkpoint is deleted.
+     */
+    async delete(sessionId) {
+        await (this.#writes.get(sessionId) || Promise.resolve()).catch(() => { });
+        this.#writes.delete(sessionId);
+        await fs.promises.rm(this.#getPath(sessionId), { force: true });
+    }
+}
+
+module.exports = FileCheckpointStore
@@ -0,0 +1,189 @@
+const fs = require("fs")
+const path = require("path");
+
+const { sendFilePrimaryID } = require("./upload-file");
+const { createDirectoryManifest } = require("../manifest");
+const { createEncryption, createChecksum, deriveKey } = require("../encryption");
+const { getManifest } = require("../download/download-file");
+const { WebhookPool } = require("../webhook-pool");
+const { DisFileError, ValidationError, AbortError, NotFoundError } = require("../errors");
+
+/**
+ * Lists the subdirectories and files of a directory recursively. Symbolic links and special files are skipped.
+ *
+ * @param {string} dirPath - The path to the directory.
+ * @returns {Promise<Object>} - A promise that resolves with the `directories` and `files`, each with its `path` relative
+ *                              to the directory (with `/` separators, whatever the platform) and its `stats`, sorted by path.
+ */
+async function listDirectory(dirPath) {
+    const directories = [];
+    const files = [];
+
+    const walk = async relativePath => {
+        const entries = await fs.promises.readdir(path.join(dirPath, relativePath), { withFileTypes: true });
+        for (const entry of entries) {
+            const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                directories.push({ path: entryPath, stats: await fs.promises.stat(path.join(dirPath, entryPath)) });
+                await walk(entryPath);
+            } else if (entry.isFile()) {
+                files.push({ path: entryPath, stats: await fs.promises.stat(path.join(dirPath, entryPath)) });
+            }
+        }
+    };
+    await walk("");
+
+    const byPath = (a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+    return { directories: directories.sort(byPath), files: files.sort(byPath) };
+}
+
+/**
+ * Computes the checksum of the content of a file.
+ *
+ * @param {string} filePath - The path to the file.
+ * @param {crypto.Hash|crypto.Hmac} hash - The hash to compute, see `createChecksum`.
+ * @param {AbortSignal} [signal] - A signal to stop reading the file.
+ * @returns {Promise<string>} - A promise that resolves with the hex checksum.
+ * @throws {DisFileError} - If the file cannot be read, with the code `STREAM_ERROR`.
+ */
+async function hashFile(filePath, hash, signal) {
+    try {
+        for await (const piece of fs.createReadStream(filePath, { signal })) {
+            hash.update(piece);
+        }
+    } catch (err) {
+        if (err.name === "AbortError") throw new AbortError(undefined, { cause: err });
+        throw new DisFileError(`Failed to read ${filePath}: ${err.message}`, { code: "STREAM_ERROR", cause: err });
+    }
+    return hash.digest("hex");
+}
+
+/**
+ * Checks that an earlier file upload still exists by fetching its manifest.
+ *
+ * @param {WebhookPool} pool - The webhooks to fetch the manifest through.
+ * @param {string} primaryID - The primary ID of the file.
+ * @param {AbortSignal} [signal] - A signal to cancel the request.
+ * @returns {Promise<boolean>} - A promise that resolves with `false` if the file was deleted.
+ */
+async function uploadExists(pool, primaryID, signal) {
+    try {
+        await getManifest(pool, primaryID, signal);
+        return true;
+    } catch (err) {
+        if (err instanceof NotFoundError) return false;
+        throw err;
+    }
+}
+
+/**
+ * Uploads every file of a directory and sends a directory manifest recording the relative path, size, mode and mtime
+ * of each file, and the subdirectories so empty ones are kept. Files are uploaded one after the other (their chunks
+ * still in parallel), and a file whose content was already uploaded, earlier in the directory or by the `previousID`
+ * upload, is not uploaded again: both entries point to the same primary ID (files of the `previousID` upload only if they
+ * still exist). Empty files are recorded without one.
+ * The checksums of encrypted directories are keyed with the encryption key, like those of encrypted files.
+ *
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the webhooks to send the directory manifest to.
+ * @param {string} dirPath - The path to the directory to upload.
+ * @param {Function} uploadFile - Uploads one file, called with its path, name and the options, returns a promise of the file details.
+ * @param {Object} [options] - Upload options, passed on to each file upload.
+ * @param {string} [options.previousID] - The primary ID of an earlier upload of the directory, whose files are reused when their content
+ *                                        is unchanged and they were encrypted with the same key (or neither was encrypted).
+ * @param {Function} [options.onFileUploaded] - Called after each file with its `path`, `primaryID`, whether it was `skipped`, its `fileIndex` and the `totalFiles`.
+ * @param {AbortSignal} [options.signal] - A signal to cancel the upload. The files already uploaded are kept.
+ * @returns {Promise<Object>} - A promise that resolves with the `primaryID` of the directory manifest, the `directoryName`, the recorded `files`,
+ *                              and the number of `uploadedFiles` and `skippedFiles` (already uploaded or empty).
+ * @throws {ValidationError} - If the path is not a directory.
+ */
+async function uploadDirectory(webhooks, dirPath, uploadFile, options = {}) {
+    const pool = WebhookPool.from(webhooks);
+    const signal = options.signal;
+
+    const stats = await fs.promises.stat(dirPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+        throw new ValidationError(`Directory ${dirPath} doesn't exist.`);
+    }
+
+    const previous = options.previousID ? await getManifest(pool, options.previousID, signal, "directory") : null;
+
+    // Keep the cipher parameters of the previous upload when the same kind of key is given, so the checksums of unchanged files match
+    let encryption = null;
+    if (options.encryptionKey) {
+        const kdf = Buffer.isBuffer(options.encryptionKey) ? "none" : "scrypt";
+        encryption = previous && previous.encryption && previous.encryption.kdf === kdf
+            ? { key: deriveKey(options.encryptionKey, previous.encryption), params: previous.encryption }
+            : createEncryption(options.encryptionKey);
+    }
+
+    // Primary IDs of the uploaded files, by checksum of their content, and those of the previous upload not checked yet
+    const uploaded = new Map();
+    const unchecked = new Set();
+    if (previous) {
+        previous.files.forEach(file => {
+            if (!file.primaryID) return;
+            uploaded.set(file.sha256, file.primaryID);
+            unchecked.add(file.primaryID);
+        });
+    }
+
+    const listing = await listDirectory(dirPath);
+    const files = [];
+    let uploadedFiles = 0;
+
+    for (const [fileIndex, file] of listing.files.entries()) {
+        if (signal && signal.aborted) throw new AbortError();
+
+        const filePath = path.join(dirPath, file.path);
+        const sha256 = await hashFile(filePath, createChecksum(encryption && encryption.key, encryption && encryption.params), signal);
+
+        // A file of the previous upload may have been deleted since, only point to it if its manifest still exists
+        if (uploaded.has(sha256) && unchecked.has(uploaded.get(sha256))) {
+            unchecked.delete(uploaded.get(sha256));
+            if (!await uploadExists(pool, uploaded.get(sha256), signal)) uploaded.delete(sha256);
+        }
+
+        // Empty files cannot be uploaded and need no data, they are created from the manifest alone
+        const skipped = file.stats.size === 0 || uploaded.has(sha256);
+        if (!skipped) {
+            const fileDetails = await uploadFile(filePath, path.basename(filePath), options);
+            uploaded.set(sha256, fileDetails.primaryID);
+            uploadedFiles++;
+        }
+
+        files.push({
+            path: file.path,
+            primaryID: file.stats.size === 0 ? null : uploaded.get(sha256),
+            size: file.stats.size,
+            sha256: sha256,
+            mode: file.stats.mode & 0o7777,
+            mtime: file.stats.mtime.toISOString()
+        });
+
+        if (options.onFileUploaded) {
+            options.onFileUploaded({ ...files[fileIndex], skipped, fileIndex, totalFiles: listing.files.length });
+        }
+    }
+
+    const manifest = createDirectoryManifest({
+        name: path.basename(path.resolve(dirPath)),
+        directories: listing.directories.map(dir => ({ path: dir.path, mode: dir.stats.mode & 0o7777 })),
+        files: files,
+        encryption: encryption && encryption.params
+    });
+
+    // The directory manifest points to the manifests of its files
+    const { value: primaryID } = await pool.send(url => sendFilePrimaryID(pool.transport, url, manifest, signal));
+
+    return {
+        primaryID: primaryID,
+        directoryName: manifest.name,
+        files: files,
+        uploadedFiles: uploadedFiles,
+        skippedFiles: files.length - uploadedFiles
+    };
+}
+
+module.exports = {
+    uploadDirectory
+}
@@ -1,33 +1,30 @@
-const axios = require("axios")
-const FormData = require('form-data');
+const crypto = require("crypto");
+const { createManifest, MANIFEST_FILENAME, MANIFEST_VERSION } = require("../manifest");
+const { createEncryption, createChecksum, deriveKey, encryptChunk } = require("../encryption");
+const { createProgressTracker } = require("../progress");
+const { deleteMessages } = require("../delete/delete-file");
+const { AbortError, ChunkUploadError } = require("../errors");
+const { WebhookPool, getWebhookID } = require("../webhook-pool");
 
 /**
  * Uploads a file stream to a specified webhook URL.
  *
+ * @param {Object} transport - The transport to post the message through, see `DiscordTransport`.
  * @param {string} webhookURL - The URL where the file should be uploaded. This is the webhook endpoint.
- * @param {Readable} fileStream - The readable stream of the file to be uploaded. This could be a file stream created by `fs.createReadStream()`.
- * @param {string} fileName - The name of the file to be uploaded. This will be used as the `filename` in the multipart form-data request.
+ * @param {Buffer} fileStream - The data of the file to be uploaded. Requests are retried on failure, so this must not be a stream.
+ * @param {string} fileName - The name of the file to be uploaded. This will be used as the `filename` of the attachment.
+ * @param {AbortSignal} [signal] - A signal to cancel the request.
  *
- * @returns {Promise<string>} - A promise that resolves with the file ID (`response.data.id`) returned from the server after a successful upload.
+ * @returns {Promise<string>} - A promise that resolves with the ID of the message holding the file after a successful upload.
  *                               If an error occurs during the request, the promise will be rejected with the error.
  */
-function oneFile(webhookURL, fileStream, fileName) {
+function oneFile(transport, webhookURL, fileStream, fileName, signal) {
     return new Promise((resolve, reject) => {
-        // Create a new FormData instance to handle file upload
-        const form = new FormData();
-
-        // Append the file stream to the form data, specifying the filename
-        form.append('file', fileStream, { filename: fileName });
-
-        // Perform the POST request to the webhook URL
-        axios.post(`${webhookURL}?wait=true`, form, {
-            headers: {
-                ...form.getHeaders()  // Include the appropriate headers for the form data
-            }
-        })
-            .then(response => {
-                // Resolve the promise with the file ID from the response
-                resolve(response.data.id);
+        // Post the file as the attachment of a new message
+        transport.postAttachment(webhookURL, fileStream, fileName, { signal: signal })
+            .then(message => {
+                // Resolve the promise with the ID of the message
+                resolve(message.id);
             })
             .catch(error => {
                 // Reject the promise if there's an error with the request
@@ -37,29 +34,35 @@ function oneFile(webhookURL, fileStream, fileName) {
 }
 
 /**
- * Sends a JSON payload containing file IDs and the filename to a specified webhook URL.
+ * Sends the manifest of an uploaded file or directory to a specified webhook URL. The manifest is attached as a JSON file,
+ * so it is not bound by the length limit of the message content.
  *
- * @param {string} webhookURL - The URL to which the JSON payload will be sent. This should be an endpoint that accepts JSON data.
- * @param {Array<string>} ids - An array of file IDs that have been previously uploaded. These IDs are included in the payload.
- * @param {string} fileName - The name of the file associated with the uploaded chunks. This is sent as part of the payload.
+ * @param {Object} transport - The transport to post the message through, see `DiscordTransport`.
+ * @param {string} webhookURL - The URL to which the manifest will be sent.
+ * @param {Object} manifest - The manifest listing the uploaded chunks, see `createManifest`, or files, see `createDirectoryManifest`.
+ * @param {AbortSignal} [signal] - A signal to cancel the request.
  *
- * @returns {Promise<string>} - A promise that resolves with the primary file ID (`response.data.id`) returned by the server
- *                              after the payload is successfully sent. The promise is rejected if an error occurs during the request.
+ * @returns {Promise<string>} - A promise that resolves with the primary file ID (the ID of the message holding the manifest)
+ *                              after the manifest is successfully sent. The promise is rejected if an error occurs during the request.
  */
-function sendFilePrimaryID(webhookURL, ids, fileName) {
+function sendFilePrimaryID(transport, webhookURL, manifest, signal) {
     return new Promise((resolve, reject) => {
-        // Perform a POST request to the webhook URL, sending the file IDs and filename
-        axios.post(`${webhookURL}?wait=true`, {
-            content: "```" +  // Encapsulate the JSON payload in code block formatting (Markdown style)
-                JSON.stringify({
-                    filename: fileName,
-                    ids: ids
-                }, null, 2)  // Pretty-print the JSON with 2 spaces for readability
-                + "```"
+        const json = Buffer.from(JSON.stringify(manifest, null, 2));  // Pretty-print the JSON with 2 spaces for readability
+
+        // Short description shown in the channel
+        const description = manifest.type === "directory"
+            ? `dis-file directory manifest v${MANIFEST_VERSION}: ${manifest.name}/`
+            : `dis-file manifest v${MANIFEST_VERSION}: ${manifest.filename}`;
+
+        // Post the manifest as an attachment
+        transport.postAttachment(webhookURL, json, MANIFEST_FILENAME, {
+            content: description,
+            contentType: "application/json",
+            signal: signal
         })
-            .then(response => {
-                // Resolve the promise with the response file ID
-                resolve(response.data.id.toString());
+            .then(message => {
+                // Resolve the promise with the message ID
+                resolve(message.id);
             })
             .catch(error => {
                 // Reject the promise if the request fails
@@ -69,44 +72,158 @@ function sendFilePrimaryID(webhookURL, ids, fileName) {
 }
 
 /**
- * Uploads multiple file chunks to a webhook URL and sends the list of uploaded file IDs.
+ * Uploads file chunks to a webhook URL as they are produced and sends the list of uploaded file IDs.
+ * The next chunk is only requested once fewer than `maxPendingChunks` uploads are in flight,
+ * which applies backpressure to the source and bounds how many chunks are held in memory.
+ * With several webhooks, the chunks are spread over them and the manifest records which one sent each chunk.
  *
- * @param {string} webhookURL - The URL to which the file chunks will be uploaded. This is the endpoint for handling file uploads.
- * @param {Array<Readable>} chunks - An array of readable streams, each representing a chunk of the file to be uploaded.
+ * @param {string|Array<string>|WebhookPool} webhooks - The URL(s) of the webhooks to which the file chunks will be uploaded.
+ * @param {AsyncIterable<Buffer>} chunks - An async iterable of buffers, each representing a chunk of the file to be uploaded.
  * @param {string} fileName - The name of the file being uploaded. This name is used for each chunk during the upload process.
+ * @param {Object} [options] - Upload options.
+ * @param {number} [options.chunkSize] - The size of each chunk in bytes, recorded in the manifest.
+ * @param {number} [options.maxPendingChunks=2] - The maximum number of chunks being uploaded at the same time.
+ * @param {Buffer|string} [options.encryptionKey] - A 32-byte key or a passphrase to encrypt each chunk with AES-256-GCM before it is sent.
+ * @param {Object} [options.encryptionParams] - Cipher parameters to reuse instead of new ones, when resuming an encrypted upload.
+ * @param {Object} [options.compressionParams] - The compression parameters recorded in the manifest if the chunks hold compressed data, see `compressStream`.
+ * @param {Array<Object>} [options.completedChunks] - The `id`, `webhook`, `size` and `sha256` of chunks already uploaded, by index. These chunks are read but not sent again.
+ * @param {Function} [options.onChunkUploaded] - Called with the index and the `id`, `webhook`, `size` and `sha256` of each chunk once it is uploaded.
+ *                                               The upload waits for a returned promise, e.g. to write a checkpoint.
+ * @param {Function} [options.onProgress] - Called after each chunk is uploaded with the `bytes` sent, `totalBytes`, `chunkIndex`, `totalChunks`
+ *                                          and current `bytesPerSecond`. The totals are `null` when the size of the source is unknown.
+ * @param {number} [options.totalBytes] - The size of the source in bytes, if known, used for the progress.
+ * @param {AbortSignal} [options.signal] - A signal to cancel the upload, including the requests in flight.
+ * @param {boolean} [options.deleteOnAbort=false] - Whether to delete the chunks already posted when the upload is cancelled.
  *
- * @returns {Promise<string>} - A promise that resolves with the primary file ID returned by the server after all chunks are uploaded and processed.
- *                              If any part of the process fails, the promise is rejected with the error message.
+ * @returns {Promise<Object>} - A promise that resolves with the primary file details after all chunks are uploaded and processed.
+ *                              If any part of the process fails, the promise is rejected with the error, a ChunkUploadError
+ *                              naming the chunk if a chunk could not be uploaded through any webhook, or the error of `onChunkUploaded`.
  */
-function upload(webhookURL, chunks, fileName) {
+function upload(webhooks, chunks, fileName, options = {}) {
     return new Promise(async (resolve, reject) => {
+        const ids = [];  // Array to store file IDs after each chunk upload, in chunk order
+        const chunkInfos = [];  // Webhooks, sizes and checksums of the chunks, recorded in the manifest
+        const signal = options.signal;
+
+        // Deletes the chunks posted so far if the upload was cancelled and asked to clean up
+        const cleanUpAbort = async () => {
+            if (!signal || !signal.aborted || !options.deleteOnAbort) return;
+            const posted = ids.map((id, index) => id && { id: id, webhook: chunkInfos[index].webhook }).filter(Boolean);
+            await deleteMessages(pool, posted).catch(() => { });
+        };
+
+        let pool;
         try {
-            const ids = [];  // Array to store file IDs after each chunk upload
+            pool = WebhookPool.from(webhooks);
+            const maxPendingChunks = Math.max(1, options.maxPendingChunks || 2);
+            const pending = new Set();  // Uploads currently in flight
+            let size = 0;  // Size of the whole file
+            let failure = null;  // First error raised by a chunk upload
 
-            // Map each chunk to an upload request (returns an array of promises)
-            const promises = chunks.map(async (fsChunk, i) => {
-                const fileID = await oneFile(webhookURL, fsChunk, `${String(i).padStart(3, '0')}_` + fileName);  // Upload each chunk
-                ids.push(fileID);  // Store the resulting file ID
+            const completedChunks = options.completedChunks || [];
+            const progress = createProgressTracker(options.onProgress, {
+                totalBytes: options.totalBytes,
+                totalChunks: options.totalBytes != null && options.chunkSize ? Math.ceil(options.totalBytes / options.chunkSize) : null
             });
 
-            // Wait for all chunk uploads to complete
-            await Promise.all(promises);
+            // Derive the key once, the manifest only records the cipher parameters
+            let encryption = null;
+            if (options.encryptionKey) {
+                encryption = options.encryptionParams
+                    ? { key: deriveKey(options.encryptionKey, options.encryptionParams), params: options.encryptionParams }
+                    : createEncryption(options.encryptionKey);
+            }
+            // Checksum of the whole file, keyed when the file is encrypted
+            const fileHash = createChecksum(encryption && encryption.key, encryption && encryption.params);
+
+            let i = 0;
+            for await (const chunk of chunks) {
+                if (signal && signal.aborted) {
+                    failure = failure || new AbortError();
+                    break;
+                }
+                const index = i++;
+
+                // The whole file checksum covers the original data, the chunks are read in order
+                fileHash.update(chunk);
+                size += chunk.length;
+
+                // Skip chunks uploaded by an earlier attempt
+                if (completedChunks[index]) {
+                    const { id, ...chunkInfo } = completedChunks[index];
+                    ids[index] = id;
+                    // Checkpoints written before webhook pools did not record the webhook, it was the first one
+                    chunkInfos[index] = { ...chunkInfo, webhook: chunkInfo.webhook || getWebhookID(pool.urls[0]) };
+                    if (progress) progress.add(chunk.length, index);
+                    continue;
+                }
+
+                // The chunk checksum covers the data as stored
+                const data = encryption ? encryptChunk(encryption.key, chunk, index) : chunk;
+                // Only the length is kept for the progress, so the plaintext is not held while the encrypted copy uploads
+                const length = chunk.length;
+                chunkInfos[index] = {
+                    size: data.length,
+                    sha256: crypto.createHash("sha256").update(data).digest("hex")
+                };
+
+                // Upload the chunk in the background through the next webhook and store its ID at its index
+                const task = pool.send(url => oneFile(pool.transport, url, data, `${String(index).padStart(3, '0')}_` + fileName, signal))
+                    .catch(err => {
+                        if (err instanceof AbortError) throw err;
+                        throw new ChunkUploadError(`Chunk ${index} failed to upload: ${err.message}`, { chunkIndex: index, cause: err });
+                    })
+                    .then(async ({ value: fileID, webhookID }) => {
+                        ids[index] = fileID;
+                        chunkInfos[index].webhook = webhookID;
+                        // The chunk is posted, errors of the callback (e.g. saving a checkpoint) are passed on as they are
+                        if (options.onChunkUploaded) await options.onChunkUploaded(index, { id: fileID, ...chunkInfos[index] });
+                        if (progress) progress.add(length, index);
+                    })
+                    .catch(err => { failure = failure || err; })
+                    .finally(() => pending.delete(task));
+                pending.add(task);
+
+                // Stop reading the source while too many chunks are in flight
+                while (pending.size >= maxPendingChunks && !failure) await Promise.race(pending);
+                if (failure) break;
+            }
+
+            // Wait for the remaining chunk uploads to complete
+            await Promise.all(pending);
+            if (failure) throw failure;
+
+            const manifest = createManifest({
+                fileName: fileName,
+                size: size,
+                sha256: fileHash.digest("hex"),
+                chunkSize: options.chunkSize,
+                chunks: ids.map((id, index) => ({ id: id, ...chunkInfos[index] })),
+                encryption: encryption && encryption.params,
+                compression: options.compressionParams,
+                options: { maxPendingChunks: maxPendingChunks }
+            });
 
-            // Send the list of uploaded file IDs to get the primary file ID
-            sendFilePrimaryID(webhookURL, ids, fileName).then(id => {
+            // Send the manifest listing the uploaded file IDs to get the primary file ID
+            pool.send(url => sendFilePrimaryID(pool.transport, url, manifest, signal)).then(({ value: id }) => {
                 resolve({
                     primaryID: id,
                     fileName: fileName,
                     fileChunkIDs: ids
                 });  // Resolve with the primary file details
-            }).catch(err => {
+            }).catch(async err => {
+                await cleanUpAbort();
                 reject(err);  // Reject if the final request fails
             });
         }
         catch (err) {
-            reject(err.message);  // Reject the promise with the error message if an error occurs
+            await cleanUpAbort();
+            reject(err);  // Reject the promise with the error if an error occurs
         }
     });
 }
 
-module.exports = upload
\ No newline at end of file
+module.exports = {
+    upload,
+    sendFilePrimaryID
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+const fs = require("fs")
+const crypto = require("crypto");
+const stream = require("stream");
+
+const { upload } = require("./upload-file");
+const FileCheckpointStore = require("./checkpoint-store");
+const { createEncryption } = require("../encryption");
+const { sliceStream, validateFileStream } = require("../utils");
+const { DisFileError, ValidationError, NotFoundError } = require("../errors");
+
+/**
+ * A resumable upload of a file. Every uploaded chunk is recorded in a checkpoint, so an upload
+ * interrupted by a crash can be continued with `UploadSession.resume` without sending those chunks again.
+ *
+ * @class UploadSession
+ */
+class UploadSession {
+    // Webhooks the chunks are sent through - Private field
+    #webhooks;
+    // State saved in the checkpoint - Private field
+    #state;
+    // Store holding the checkpoint - Private field
+    #store;
+    // Upload options - Private field
+    #options;
+
+    /**
+     * Creates an instance of the UploadSession class. Use `UploadSession.create` or `UploadSession.resume` instead.
+     *
+     * @param {string|Array<string>|WebhookPool} webhooks - The Discord webhook URL(s) to send the file to.
+     * @param {Object} state - The state of the session, as saved in the checkpoint.
+     * @param {Object} store - The store holding the checkpoint.
+     * @param {Object} options - Upload options.
+     */
+    constructor(webhooks, state, store, options) {
+        this.#webhooks = webhooks;
+        this.#state = state;
+        this.#store = store;
+        this.#options = options;
+    }
+
+    /**
+     * The ID of the session, needed to resume it.
+     *
+     * @type {string}
+     */
+    get id() {
+        return this.#state.id;
+    }
+
+    /**
+     * The number of chunks already uploaded.
+     *
+     * @type {number}
+     */
+    get completedChunks() {
+        return this.#state.chunks.filter(Boolean).length;
+    }
+
+    /**
+     * Creates a new upload session and saves its first checkpoint.
+     *
+     * @param {string|Array<string>|WebhookPool} webhooks - The Discord webhook URL(s) to send the file to.
+     * @param {string} filePath - The path to the file to be uploaded.
+     * @param {string} fileName - The name to be used for the file during the upload (including file extension).
+     * @param {Object} options - Upload options.
+     * @param {number} options.chunkSize - The size of each chunk in bytes.
+     * @param {Object} [options.checkpointStore] - The store for the checkpoint (default is a `FileCheckpointStore`).
+     * @param {string} [options.sessionId] - The ID of the session (default is a random UUID).
+     * @returns {Promise<UploadSession>} - A promise that resolves with the session.
+     */
+    static async create(webhooks, filePath, fileName, options) {
+        const store = options.checkpointStore || new FileCheckpointStore();
+        const stats = await fs.promises.stat(filePath);
+
+        const state = {
+            id: options.sessionId || crypto.randomUUID(),
+            filePath: filePath,
+            fileName: fileName,
+            fileSize: stats.size,
+            fileModified: stats.mtimeMs,
+            chunkSize: options.chunkSize,
+            // Fixed up front, so chunks uploaded before and after a resume use the same salt
+            encryption: options.encryptionKey ? createEncryption(options.encryptionKey).params : null,
+            chunks: [],
+            createdAt: new Date().toISOString()
+        };
+        await store.set(state.id, state);
+
+        return new UploadSession(webhooks, state, store, options);
+    }
+
+    /**
+     * Loads an interrupted upload session from its checkpoint.
+     *
+     * @param {string|Array<string>|WebhookPool} webhooks - The Discord webhook URL(s) to send the file to.
+     * @param {string} sessionId - The ID of the session.
+     * @param {Object} options - Upload options, see `UploadSession.create`.
+     * @returns {Promise<UploadSession>} - A promise that resolves with the session.
+     */
+    static async resume(webhooks, sessionId, options) {
+        const store = options.checkpointStore || new FileCheckpointStore();
+        const state = await store.get(sessionId);
+        if (!state) throw new NotFoundError(`No checkpoint found for upload session ${sessionId}.`);
+
+        return new UploadSession(webhooks, state, store, options);
+    }
+
+    /**
+     * Uploads the chunks not uploaded yet, then sends the manifest and deletes the checkpoint.
+     *
+     * @returns {Promise<Object>} - A promise that resolves with the uploaded file details, or rejects with a DisFileError
+     *                              (one with the code `CHECKPOINT_ERROR` if the checkpoint store fails).
+     */
+    async start() {
+        const state = this.#state;
+
+        // Chunks already uploaded are skipped by index, which is only right if the file is unchanged
+        const stats = await fs.promises.stat(state.filePath);
+        if (stats.size !== state.fileSize || stats.mtimeMs !== state.fileModified) {
+            throw new ValidationError(`File ${state.filePath} changed since upload session ${state.id} started.`);
+        }
+        if (state.encryption && !this.#options.encryptionKey) {
+            throw new ValidationError(`Upload session ${state.id} is encrypted, an encryption key is required.`);
+        }
+
+        const fileStream = fs.createReadStream(state.filePath);
+        if (this.#options.signal) stream.addAbortSignal(this.#options.signal, fileStream);
+
+        const chunks = sliceStream(validateFileStream(fileStream), state.chunkSize);
+        const fileDetails = await upload(this.#webhooks, chunks, state.fileName, {
+            ...this.#options,
+            chunkSize: state.chunkSize,
+            totalBytes: state.fileSize,
+            // Only encrypt if the session started encrypted, all chunks must match
+            encryptionKey: state.encryption ? this.#options.encryptionKey : undefined,
+            encryptionParams: state.encryption,
+            completedChunks: state.chunks,
+            onChunkUploaded: (index, chunk) => {
+                // Record the chunk in the checkpoint before its upload counts as done
+                state.chunks[index] = chunk;
+                return this.#store.set(state.id, state).catch(err => {
+                    throw new DisFileError(`Chunk ${index} was uploaded but the checkpoint of upload session ${state.id} could not be saved: ${err.message}`, {
+                        code: "CHECKPOINT_ERROR",
+                        cause: err
+                    });
+                });
+            }
+        }).catch(async err => {
+            // The posted chunks were deleted, so the checkpoint can no longer be resumed
+            if (this.#options.deleteOnAbort && this.#options.signal && this.#options.signal.aborted) {
+                await this.#store.delete(state.id);
+            }
+            throw err;
+        });
+
+        await this.#store.delete(state.id);
+        return fileDetails;
+    }
+}
+
+module.exports = UploadSession
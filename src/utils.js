@@ -1,88 +1,78 @@
 const stream = require("stream");
-const { DisFile } = require("..");
+const { DisFileError, ValidationError, AbortError } = require("./errors");
 
-// This will split the read stream into chunks to avoid the webhook limit
+// This will split the read stream into chunks to avoid the webhook limit, unless a DisFile sets its own `chunkSize`
 var chunkSize = 20 * 1024 * 1024; // 20 MB
 
 /**
- * Checks if the provided object is a valid readable stream and verifies its content.
+ * Checks that the provided object is a readable stream and reads it, checking that it has data and reads without errors.
  * 
  * @param {stream.Readable} fileStream - The object to check, expected to be a readable stream.
- * @returns {string|null} - Returns an error message if the stream is invalid, empty, or encounters an error, otherwise returns `null` if the stream is valid.
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding the data of the stream.
+ * @throws {ValidationError} - Right away if the object is not a readable stream, or once the stream ends if it is empty.
+ * @throws {DisFileError} - With the code `STREAM_ERROR` if reading the stream fails, or an AbortError if it was aborted.
  */
-function checkFileStream(fileStream) {
+function validateFileStream(fileStream) {
     // Check if the provided object is a valid instance of a Readable stream
     if (!(fileStream instanceof stream.Readable)) {
-        // If the object is not a Readable stream, return an error message
-        return "Invalid file stream: The provided object is not a valid Readable stream.";
+        throw new ValidationError("Invalid file stream: The provided object is not a valid Readable stream.");
     }
 
-    // Listen for errors emitted by the stream (e.g., if the stream encounters an issue)
-    fileStream.on('error', (err) => {
-        // Return the error message if the stream encounters an error during reading
-        return "Stream error: " + err.message;
-    });
-
-    // Check if the stream emits any data
-    let hasData = false;
-
-    // Listen to the 'data' event to check if any data is being read
-    fileStream.on('data', (chunk) => {
-        hasData = true; // If we receive data, set hasData to true
-    });
-
-    // After finishing reading, check if any data was emitted
-    fileStream.on('end', () => {
-        if (!hasData) {
-            return "Stream is empty.";
+    return (async function* () {
+        let hasData = false;
+        try {
+            for await (const piece of fileStream) {
+                hasData = hasData || piece.length > 0;
+                yield piece;
+            }
+        } catch (err) {
+            // Streams cancelled through `stream.addAbortSignal` fail with Node's own AbortError
+            if (err.name === "AbortError") throw new AbortError(undefined, { cause: err });
+            throw new DisFileError("Stream error: " + err.message, { code: "STREAM_ERROR", cause: err });
         }
-    });
 
-    // If the stream is valid and contains data, return null (indicating no issues)
-    return null;
+        // After finishing reading, check if any data was emitted
+        if (!hasData) throw new ValidationError("Stream is empty.");
+    })();
 }
 
 /**
- * Splits a file stream into smaller chunk streams and returns them as an array.
+ * Re-slices a file stream into chunks of exactly `size` bytes (only the last one may be smaller),
+ * regardless of how the source emits its data. Chunks are produced lazily, so the source is only
+ * read as fast as the consumer asks for the next chunk.
  *
  * @param {Readable} fileStream - The input file stream that will be split into chunks. 
  * It should be a readable stream (e.g., `fs.createReadStream`).
  *  
- * @param {number} chunkSize - The size of each chunk in bytes. This determines the size of each chunk stream.
+ * @param {number} size - The size of each chunk in bytes.
  * 
- * @returns {Promise<Array<Readable>>} - A promise that resolves to an array of chunk streams, 
- * where each chunk stream is a `Readable` stream containing a portion of the original file.
+ * @returns {AsyncGenerator<Buffer>} - An async generator yielding each chunk as a Buffer once it is filled.
  */
-function getChunks(fileStream) {
-    return new Promise((resolve, reject) => {
-        let chunkStreams = [];  // Array to store the chunk streams
-        let chunkIndex = 1;  // Counter to keep track of chunk index
-
-        // 'data' event: This is triggered every time a chunk is read from the file stream.
-        fileStream.on('data', (chunk) => {
-            // Create a new Readable stream for each chunk.
-            const chunkStream = new stream.Readable({
-                read() {
-                    this.push(chunk);  // Push the chunk to the stream
-                    this.push(null);    // Push null to indicate the end of the stream
-                }
-            });
-
-            // Add the chunk stream to the chunkStreams array.
-            chunkStreams.push(chunkStream);
-            chunkIndex++;  // Increment the chunk index for the next chunk
-        });
-
-        // 'end' event: This is triggered when the entire file stream has been read.
-        fileStream.on('end', () => {
-            resolve(chunkStreams);  // Resolve the promise with the array of chunk streams
-        });
-
-        // 'error' event: This is triggered if an error occurs while reading the file.
-        fileStream.on('error', (err) => {
-            reject(err);  // Reject the promise with the error
-        });
-    });
+async function* sliceStream(fileStream, size) {
+    let pieces = [];  // Data received since the last emitted chunk
+    let length = 0;  // Total length of the pieces
+
+    for await (const data of fileStream) {
+        const piece = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        pieces.push(piece);
+        length += piece.length;
+
+        // Wait until at least one whole chunk has been received
+        if (length < size) continue;
+
+        // Emit every whole chunk and keep the remainder for the next one
+        const buffer = Buffer.concat(pieces, length);
+        let offset = 0;
+        while (length - offset >= size) {
+            yield buffer.subarray(offset, offset + size);
+            offset += size;
+        }
+        pieces = offset < length ? [buffer.subarray(offset)] : [];
+        length -= offset;
+    }
+
+    // Emit whatever is left as the last chunk
+    if (length > 0) yield Buffer.concat(pieces, length);
 }
 
 /**
@@ -116,9 +106,123 @@ function createChunkedStream(fileBuffer) {
     return readable; // Return the chunked readable stream
 }
 
+// MIME types of common file extensions
+const mimeTypes = {
+    txt: "text/plain",
+    log: "text/plain",
+    csv: "text/csv",
+    html: "text/html",
+    css: "text/css",
+    js: "text/javascript",
+    json: "application/json",
+    xml: "application/xml",
+    pdf: "application/pdf",
+    zip: "application/zip",
+    gz: "application/gzip",
+    tar: "application/x-tar",
+    "7z": "application/x-7z-compressed",
+    rar: "application/vnd.rar",
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    svg: "image/svg+xml",
+    mp3: "audio/mpeg",
+    wav: "audio/wav",
+    ogg: "audio/ogg",
+    mp4: "video/mp4",
+    webm: "video/webm",
+    mov: "video/quicktime"
+};
+
+/**
+ * Gets the MIME type of a file from its extension.
+ * 
+ * @param {string} fileName - The name of the file (including file extension).
+ * @returns {string} - The MIME type, or `application/octet-stream` if the extension is unknown.
+ */
+function getMimeType(fileName) {
+    const extension = fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : "";
+    return mimeTypes[extension] || "application/octet-stream";
+}
+
+/**
+ * Maps items through an async function, running at most `concurrency` calls at the same time.
+ * Stops starting new calls as soon as one fails.
+ * 
+ * @param {Array} items - The items to map.
+ * @param {number} concurrency - The maximum number of calls running at the same time.
+ * @param {Function} fn - The async function, called with each item and its index.
+ * @returns {Promise<Array>} - A promise that resolves to the results, in the order of the items.
+ */
+async function mapConcurrent(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    // Each worker takes the next item until there is none left
+    const worker = async () => {
+        while (next < items.length && !failed) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (err) {
+                failed = true;
+                throw err;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+    return results;
+}
+
+// Discord epoch (first second of 2015) that snowflake timestamps count from
+const DISCORD_EPOCH = 1420070400000n;
+
+/**
+ * Gets the creation date of a Discord message from its snowflake ID.
+ * 
+ * @param {string} snowflake - The ID of the message.
+ * @returns {Date} - The date the message was sent.
+ */
+function getSnowflakeDate(snowflake) {
+    return new Date(Number((BigInt(snowflake) >> 22n) + DISCORD_EPOCH));
+}
+
+/**
+ * Creates a snowflake ID like the ones of Discord messages, for messages stored by other transports.
+ * 
+ * @param {Date|number} date - The date the message was sent.
+ * @param {number} [sequence=0] - A number telling apart the IDs created in the same millisecond (12 bits).
+ * @returns {string} - The snowflake ID.
+ */
+function createSnowflake(date, sequence = 0) {
+    const timestamp = BigInt(new Date(date).getTime()) - DISCORD_EPOCH;
+    return ((timestamp << 22n) | BigInt(sequence & 0xfff)).toString();
+}
+
+/**
+ * Gets the expiry date of a Discord CDN attachment URL from its `ex` parameter (a hex Unix timestamp in seconds).
+ * 
+ * @param {string} url - The URL of the attachment.
+ * @returns {Date|null} - The date the URL expires, or `null` if it does not carry one.
+ */
+function getAttachmentExpiry(url) {
+    const ex = new URL(url).searchParams.get("ex");
+    if (!ex || !/^[0-9a-f]+$/i.test(ex)) return null;
+    return new Date(parseInt(ex, 16) * 1000);
+}
+
 module.exports = {
-    checkFileStream,
-    getChunks,
+    validateFileStream,
+    sliceStream,
     createChunkedStream,
+    getMimeType,
+    getSnowflakeDate,
+    createSnowflake,
+    getAttachmentExpiry,
+    mapConcurrent,
     chunkSize
 }
\ No newline at end of file
@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const { ValidationError, NotFoundError, AbortError } = require("./errors");
+const DiscordTransport = require("./transport/discord-transport");
+
+/**
+ * Gets the ID of a webhook from its URL, which is what the manifest records instead of the URL,
+ * since the URL holds the webhook token.
+ *
+ * @param {string} webhookURL - The URL of the Discord webhook.
+ * @returns {string} - The ID of the webhook, or a hash of the URL if it does not hold one.
+ */
+function getWebhookID(webhookURL) {
+    const match = /\/webhooks\/(\d+)\//.exec(webhookURL);
+    if (match) return match[1];
+    return crypto.createHash("sha256").update(webhookURL).digest("hex").slice(0, 16);
+}
+
+/**
+ * A pool of webhooks, usually in different channels, to spread the chunks of uploads over, so they are not all
+ * bound by the rate limits of a single webhook. A webhook failing `maxFailures` times in a row is no longer used,
+ * unless it is the last one left.
+ *
+ * @class WebhookPool
+ */
+class WebhookPool {
+    // State of each webhook, in the order given - Private field
+    #webhooks;
+    // How the next webhook is picked - Private field
+    #strategy;
+    // Failures in a row after which a webhook is disabled - Private field
+    #maxFailures;
+    // Position of the next webhook for round-robin - Private field
+    #next = 0;
+    // Transport the messages are sent and fetched through - Private field
+    #transport;
+
+    /**
+     * Creates an instance of the WebhookPool class.
+     *
+     * @param {Array<string>} webhookURLs - The URLs of the Discord webhooks.
+     * @param {Object} [options] - Pool options.
+     * @param {string} [options.strategy="round-robin"] - How uploads pick a webhook, `round-robin` or `least-busy` (the fewest requests in flight).
+     * @param {number} [options.maxFailures=3] - How many failed uploads in a row disable a webhook.
+     * @param {Object} [options.transport] - The transport the messages go through, see `DiscordTransport` (default is Discord).
+     * @throws {ValidationError} - If no webhook URL is given, one is not a non-empty string, or the strategy is unknown.
+     */
+    constructor(webhookURLs, options = {}) {
+        if (!Array.isArray(webhookURLs) || webhookURLs.length === 0) {
+            throw new ValidationError("At least one webhook URL is required.");
+        }
+        const invalid = webhookURLs.findIndex(url => typeof url !== "string" || url.trim() === "");
+        if (invalid !== -1) {
+            throw new ValidationError(`Webhook URLs must be non-empty strings, got ${String(webhookURLs[invalid]) || "an empty string"} at index ${invalid}.`);
+        }
+        if (options.strategy && !["round-robin", "least-busy"].includes(options.strategy)) {
+            throw new ValidationError(`Unknown webhook strategy: ${options.strategy}`);
+        }
+
+        this.#webhooks = webhookURLs.map(url => ({
+            url: url,
+            id: getWebhookID(url),
+            pending: 0,
+            failures: 0,
+            disabled: false
+        }));
+        this.#strategy = options.strategy || "round-robin";
+        this.#maxFailures = options.maxFailures ?? 3;
+        this.#transport = options.transport || new DiscordTransport();
+    }
+
+    /**
+     * Gets a pool from a webhook URL, a list of webhook URLs or an existing pool.
+     *
+     * @param {string|Array<string>|WebhookPool} webhooks - The webhooks.
+     * @param {Object} [options] - Pool options, see the constructor.
+     * @returns {WebhookPool} - The pool.
+     */
+    static from(webhooks, options) {
+        if (webhooks instanceof WebhookPool) return webhooks;
+        return new WebhookPool(Array.isArray(webhooks) ? webhooks : [webhooks], options);
+    }
+
+    /**
+     * The transport the messages of the webhooks are sent and fetched through.
+     *
+     * @type {Object}
+     */
+    get transport() {
+        return this.#transport;
+    }
+
+    /**
+     * The URLs of the webhooks, in the order given.
+     *
+     * @type {Array<string>}
+     */
+    get urls() {
+        return this.#webhooks.map(webhook => webhook.url);
+    }
+
+    /**
+     * Gets the URL of a webhook of the pool from its ID, as recorded in a manifest.
+     *
+     * @param {string} [webhookID] - The ID of the webhook, chunks that do not record one were sent through the first webhook.
+     * @returns {string} - The URL of the webhook.
+     * @throws {NotFoundError} - If the webhook is not in the pool.
+     */
+    getURL(webhookID) {
+        if (!webhookID) return this.#webhooks[0].url;
+
+        const webhook = this.#webhooks.find(webhook => webhook.id === webhookID);
+        if (!webhook) throw new NotFoundError(`Webhook ${webhookID} is not in the pool, add its URL to read this file.`);
+        return webhook.url;
+    }
+
+    /**
+     * Picks the webhook for the next request among the enabled ones not tried yet.
+     *
+     * @param {Set<Object>} tried - The webhooks already tried for this request.
+     * @returns {Object|undefined} - The state of the webhook, or `undefined` if none is left.
+     */
+    #pick(tried) {
+        const candidates = this.#webhooks.filter(webhook => !webhook.disabled && !tried.has(webhook));
+        if (candidates.length === 0) return undefined;
+
+        if (this.#strategy === "least-busy") {
+            return candidates.reduce((best, webhook) => webhook.pending < best.pending ? webhook : best);
+        }
+
+        // Take the next webhook in order, skipping the ones that cannot be used
+        for (let i = 0; i < this.#webhooks.length; i++) {
+            const webhook = this.#webhooks[(this.#next + i) % this.#webhooks.length];
+            if (!candidates.includes(webhook)) continue;
+            this.#next = (this.#webhooks.indexOf(webhook) + 1) % this.#webhooks.length;
+            return webhook;
+        }
+    }
+
+    /**
+     * Records a failed request of a webhook and disables it after too many failures in a row.
+     *
+     * @param {Object} webhook - The state of the webhook.
+     */
+    #fail(webhook) {
+        webhook.failures++;
+        if (webhook.failures < this.#maxFailures) return;
+
+        // Keep the last enabled webhook, there is nothing to move on to
+        if (this.#webhooks.some(other => other !== webhook && !other.disabled)) webhook.disabled = true;
+    }
+
+    /**
+     * Sends a request through a webhook of the pool. If it fails, it is sent again through each other
+     * enabled webhook until one succeeds; the request client already retried it on the failing webhook.
+     *
+     * @param {Function} request - Called with the URL of the webhook, returns a promise of the result.
+     * @returns {Promise<Object>} - A promise that resolves with the `value` of the request and the `webhookID` that sent it,
+     *                              or rejects with the error of the last webhook tried.
+     */
+    async send(request) {
+        const tried = new Set();
+        for (; ;) {
+            const webhook = this.#pick(tried);
+            tried.add(webhook);
+
+            webhook.pending++;
+            try {
+                const value = await request(webhook.url);
+                webhook.failures = 0;
+                return { value: value, webhookID: webhook.id };
+            } catch (err) {
+                if (err instanceof AbortError) throw err;
+                this.#fail(webhook);
+
+                // Give up once every usable webhook failed this request
+                if (!this.#webhooks.some(other => !other.disabled && !tried.has(other))) throw err;
+            } finally {
+                webhook.pending--;
+            }
+        }
+    }
+}
+
+module.exports = {
+    WebhookPool,
+    getWebhookID
+}
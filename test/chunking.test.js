@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const stream = require("stream");
+
+const DisFile = require("../src/classes/DisFile");
+const { upload } = require("../src/upload/upload-file");
+const { getManifest } = require("../src/download/download-file");
+const { sliceStream, validateFileStream, createChunkedStream } = require("../src/utils");
+const { WebhookPool } = require("../src/webhook-pool");
+const MemoryTransport = require("../src/transport/memory-transport");
+const { ValidationError } = require("../src/errors");
+
+// Collects the items of an async iterable
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+test("sliceStream re-slices a stream into chunks of the given size", async () => {
+    const data = crypto.randomBytes(10000);
+    // Pieces that do not line up with the chunk size
+    const source = stream.Readable.from([data.subarray(0, 1234), data.subarray(1234, 7000), data.subarray(7000)]);
+
+    const chunks = await collect(sliceStream(source, 4096));
+
+    assert.deepEqual(chunks.map(chunk => chunk.length), [4096, 4096, 1808]);
+    assert.ok(Buffer.concat(chunks).equals(data));
+});
+
+test("sliceStream yields a single smaller chunk for small streams", async () => {
+    const chunks = await collect(sliceStream(stream.Readable.from([Buffer.from("hello")]), 4096));
+    assert.deepEqual(chunks, [Buffer.from("hello")]);
+});
+
+test("createChunkedStream streams a buffer", async () => {
+    const data = crypto.randomBytes(50000);
+    const pieces = await collect(createChunkedStream(data));
+    assert.ok(Buffer.concat(pieces).equals(data));
+});
+
+test("validateFileStream rejects invalid and empty streams", async () => {
+    assert.throws(() => validateFileStream("not a stream"), ValidationError);
+    await assert.rejects(collect(validateFileStream(stream.Readable.from([]))), ValidationError);
+});
+
+test("upload posts each chunk and records its size and checksum in the manifest", async () => {
+    const transport = new MemoryTransport();
+    const pool = new WebhookPool(["memory://one"], { transport });
+    const data = crypto.randomBytes(10000);
+
+    const fileDetails = await upload(pool, sliceStream(stream.Readable.from([data]), 4096), "data.bin", { chunkSize: 4096 });
+
+    assert.equal(fileDetails.fileChunkIDs.length, 3);
+    // One message per chunk and one for the manifest
+    assert.equal(transport.size, 4);
+
+    const manifest = await getManifest(pool, fileDetails.primaryID);
+    assert.equal(manifest.filename, "data.bin");
+    assert.equal(manifest.size, data.length);
+    assert.equal(manifest.chunkSize, 4096);
+    assert.equal(manifest.sha256, crypto.createHash("sha256").update(data).digest("hex"));
+    assert.deepEqual(manifest.chunks.map(chunk => chunk.id), fileDetails.fileChunkIDs);
+    assert.deepEqual(manifest.chunks.map(chunk => chunk.size), [4096, 4096, 1808]);
+    assert.equal(manifest.chunks[2].sha256, crypto.createHash("sha256").update(data.subarray(8192)).digest("hex"));
+});
+
+test("WebhookPool rejects missing and invalid webhook URLs", () => {
+    assert.throws(() => new DisFile(), ValidationError);
+    assert.throws(() => new DisFile(""), ValidationError);
+    assert.throws(() => new DisFile([]), ValidationError);
+    assert.throws(() => new DisFile(["memory://one", 42]), /index 1/);
+});
+
+test("upload spreads the chunks over the webhooks of a pool", async () => {
+    const transport = new MemoryTransport();
+    const pool = new WebhookPool(["memory://one", "memory://two"], { transport });
+
+    const fileDetails = await upload(pool, sliceStream(stream.Readable.from([crypto.randomBytes(4000)]), 1000), "data.bin", { chunkSize: 1000 });
+    const manifest = await getManifest(pool, fileDetails.primaryID);
+
+    const webhooks = new Set(manifest.chunks.map(chunk => chunk.webhook));
+    assert.equal(webhooks.size, 2);
+});
+
+test("DisFile slices uploads with the chunk size of the instance", async () => {
+    const transport = new MemoryTransport();
+    const disFile = new DisFile("memory://one", { transport, chunkSize: 1000 });
+    const data = crypto.randomBytes(2500);
+
+    const fileDetails = await disFile.uploadFileStream(stream.Readable.from([data]), "data.bin");
+    assert.equal(fileDetails.fileChunkIDs.length, 3);
+    assert.equal((await disFile.getFileInfo(fileDetails.primaryID)).chunkSize, 1000);
+
+    // Each upload can override it
+    const single = await disFile.uploadFileStream(stream.Readable.from([data]), "data.bin", { chunkSize: 4096 });
+    assert.equal(single.fileChunkIDs.length, 1);
+    assert.ok((await disFile.downloadFileBuffer(fileDetails.primaryID)).equals(data));
+});
+
+test("DisFile takes a number as the chunk size and rejects other options", () => {
+    assert.doesNotThrow(() => new DisFile("memory://one", 1000));
+    // The number is validated like the chunkSize option
+    assert.throws(() => new DisFile("memory://one", 1.5), /chunkSize/);
+    assert.throws(() => new DisFile("memory://one", "1000"), ValidationError);
+    assert.throws(() => new DisFile("memory://one", null), ValidationError);
+});
+
+test("DisFile rejects invalid chunk sizes", async () => {
+    assert.throws(() => new DisFile("memory://one", { chunkSize: 0 }), ValidationError);
+    const disFile = new DisFile("memory://one", { transport: new MemoryTransport() });
+    await assert.rejects(disFile.uploadFileStream(stream.Readable.from([Buffer.from("x")]), "x.txt", { chunkSize: 1.5 }), ValidationError);
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const { run } = require("../src/cli/cli");
+const MemoryTransport = require("../src/transport/memory-transport");
+
+// Creates a temporary directory removed after the test
+async function createTempDir(t) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dis-file-test-"));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Runs the tool with the given arguments, collecting what it prints
+async function runCLI(argv, { transport = new MemoryTransport(), env = { DIS_FILE_WEBHOOK_URL: "memory://one" } } = {}) {
+    const output = { stdout: "", stderr: "" };
+    const collect = name => ({ write: text => { output[name] += text; } });
+    const code = await run(argv, { stdout: collect("stdout"), stderr: collect("stderr"), env, transport });
+    return { code, ...output };
+}
+
+test("uploads, describes, downloads and deletes a file", async t => {
+    const dir = await createTempDir(t);
+    const data = crypto.randomBytes(3000);
+    await fs.promises.writeFile(path.join(dir, "data.bin"), data);
+    const transport = new MemoryTransport();
+
+    const upload = await runCLI(["upload", path.join(dir, "data.bin"), "--name", "stored.bin", "--json"], { transport });
+    assert.equal(upload.code, 0);
+    const { primaryID } = JSON.parse(upload.stdout);
+
+    const info = await runCLI(["info", primaryID], { transport });
+    assert.equal(info.code, 0);
+    assert.match(info.stdout, /Name: +stored\.bin/);
+    assert.match(info.stdout, /\(3000 bytes\)/);
+
+    const out = path.join(dir, "restored.bin");
+    const download = await runCLI(["download", primaryID, out], { transport });
+    assert.equal(download.code, 0);
+    assert.equal(download.stdout, path.resolve(out) + "\n");
+    assert.ok((await fs.promises.readFile(out)).equals(data));
+
+    const deleted = await runCLI(["delete", primaryID, "--json"], { transport });
+    assert.equal(deleted.code, 0);
+    assert.equal(JSON.parse(deleted.stdout).fileName, "stored.bin");
+    assert.equal(transport.size, 0);
+});
+
+test("encrypts with the passphrase of the environment", async t => {
+    const dir = await createTempDir(t);
+    await fs.promises.writeFile(path.join(dir, "secret.txt"), "secret");
+    const transport = new MemoryTransport();
+    const env = { DIS_FILE_WEBHOOK_URL: "memory://one", DIS_FILE_PASSPHRASE: "passphrase" };
+
+    const upload = await runCLI(["upload", path.join(dir, "secret.txt")], { transport, env });
+    const primaryID = upload.stdout.trim();
+
+    const info = await runCLI(["info", primaryID, "--json"], { transport });
+    assert.equal(JSON.parse(info.stdout).encrypted, true);
+
+    const out = path.join(dir, "restored.txt");
+    assert.equal((await runCLI(["download", primaryID, out], { transport })).code, 1);
+    assert.equal((await runCLI(["download", primaryID, out], { transport, env })).code, 0);
+    assert.equal(await fs.promises.readFile(out, "utf8"), "secret");
+});
+
+test("prints the code of failures with --json", async () => {
+    const result = await runCLI(["info", "123456", "--json"]);
+    assert.equal(result.code, 1);
+    assert.equal(JSON.parse(result.stdout).code, "NOT_FOUND");
+    assert.match(result.stderr, /^Error: /);
+});
+
+test("prints the usage on invalid arguments", async () => {
+    const unknown = await runCLI(["rename", "123456"]);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Unknown command: rename[\s\S]*Usage: dis-file/);
+
+    assert.equal((await runCLI(["upload"])).code, 2);
+    assert.equal((await runCLI(["info", "--unknown"])).code, 2);
+    assert.equal((await runCLI([])).code, 2);
+    assert.equal((await runCLI(["--help"])).code, 0);
+});
+
+test("reads the webhook URLs from the config file", async t => {
+    const dir = await createTempDir(t);
+    const config = path.join(dir, "config.json");
+    await fs.promises.writeFile(config, JSON.stringify({ webhookURL: ["memory://one", "memory://two"] }));
+    await fs.promises.writeFile(path.join(dir, "data.txt"), "data");
+
+    const upload = await runCLI(["upload", path.join(dir, "data.txt"), "--config", config], { env: {} });
+    assert.equal(upload.code, 0);
+
+    const missing = await runCLI(["info", "123456", "--config", path.join(dir, "missing.json")], { env: {} });
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /missing\.json doesn't exist/);
+});
+
+test("names the config file when it is not valid JSON", async t => {
+    const config = path.join(await createTempDir(t), "config.json");
+    await fs.promises.writeFile(config, "{ webhookURL: ");
+
+    const result = await runCLI(["info", "123456", "--config", config, "--json"], { env: {} });
+    assert.equal(result.code, 2);
+    const { error, code } = JSON.parse(result.stdout);
+    assert.equal(code, "USAGE_ERROR");
+    assert.ok(error.startsWith(`Config file ${config} is not valid JSON: `));
+});
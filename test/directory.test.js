@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const DisFile = require("../src/classes/DisFile");
+const MemoryTransport = require("../src/transport/memory-transport");
+
+// Creates a temporary directory removed after the test
+async function createTempDir(t) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dis-file-test-"));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test("uploads a directory once per content and downloads it", async t => {
+    const dir = await createTempDir(t);
+    const source = path.join(dir, "project");
+    await fs.promises.mkdir(path.join(source, "src"), { recursive: true });
+    await fs.promises.writeFile(path.join(source, "a.txt"), "same");
+    await fs.promises.writeFile(path.join(source, "src", "b.txt"), "same");
+    await fs.promises.writeFile(path.join(source, "src", "c.txt"), "other");
+
+    const disFile = new DisFile("memory://one", { transport: new MemoryTransport() });
+    const backup = await disFile.uploadDirectory(source);
+    assert.equal(backup.uploadedFiles, 2);
+    assert.equal(backup.files[0].sha256, crypto.createHash("sha256").update("same").digest("hex"));
+
+    const next = await disFile.uploadDirectory(source, { previousID: backup.primaryID });
+    assert.equal(next.uploadedFiles, 0);
+
+    const target = path.join(dir, "restored");
+    await disFile.downloadDirectory(next.primaryID, target);
+    assert.equal(await fs.promises.readFile(path.join(target, "src", "b.txt"), "utf8"), "same");
+    assert.equal(await fs.promises.readFile(path.join(target, "src", "c.txt"), "utf8"), "other");
+});
+
+test("keys the checksums of encrypted directories", async t => {
+    const dir = await createTempDir(t);
+    await fs.promises.writeFile(path.join(dir, "a.txt"), "same");
+    await fs.promises.writeFile(path.join(dir, "b.txt"), "same");
+
+    const disFile = new DisFile("memory://one", { transport: new MemoryTransport() });
+    const backup = await disFile.uploadDirectory(dir, { encryptionKey: "passphrase" });
+    assert.equal(backup.uploadedFiles, 1);
+    assert.notEqual(backup.files[0].sha256, crypto.createHash("sha256").update("same").digest("hex"));
+
+    // Unchanged files are only reused with the same key
+    const next = await disFile.uploadDirectory(dir, { encryptionKey: "passphrase", previousID: backup.primaryID });
+    assert.equal(next.uploadedFiles, 0);
+    const other = await disFile.uploadDirectory(dir, { encryptionKey: "another passphrase", previousID: backup.primaryID });
+    assert.equal(other.uploadedFiles, 1);
+});
+
+test("deletes the files of a directory only when recursive", async t => {
+    const dir = await createTempDir(t);
+    await fs.promises.writeFile(path.join(dir, "a.txt"), "same");
+    await fs.promises.writeFile(path.join(dir, "b.txt"), "same");
+    await fs.promises.writeFile(path.join(dir, "c.txt"), "other");
+
+    const transport = new MemoryTransport();
+    const disFile = new DisFile("memory://one", { transport });
+    const first = await disFile.uploadDirectory(dir);
+    const second = await disFile.uploadDirectory(dir, { previousID: first.primaryID });
+
+    const kept = await disFile.deleteFile(first.primaryID);
+    assert.equal(kept.keptFileIDs.length, 2);
+    assert.equal(kept.deletedFiles, 0);
+
+    const deleted = await disFile.deleteFile(second.primaryID, { recursive: true });
+    assert.equal(deleted.deletedFiles, 2);
+    assert.deepEqual(deleted.keptFileIDs, []);
+    assert.equal(transport.size, 0);
+});
+
+test("uploads the files of the previous upload again once they were deleted", async t => {
+    const dir = await createTempDir(t);
+    await fs.promises.writeFile(path.join(dir, "a.txt"), "kept");
+    await fs.promises.writeFile(path.join(dir, "b.txt"), "deleted");
+
+    const disFile = new DisFile("memory://one", { transport: new MemoryTransport() });
+    const backup = await disFile.uploadDirectory(dir);
+    await disFile.deleteFile(backup.files[1].primaryID);
+
+    const next = await disFile.uploadDirectory(dir, { previousID: backup.primaryID });
+    assert.equal(next.uploadedFiles, 1);
+    assert.equal(next.files[0].primaryID, backup.files[0].primaryID);
+    assert.notEqual(next.files[1].primaryID, backup.files[1].primaryID);
+
+    const target = path.join(dir, "restored");
+    await disFile.downloadDirectory(next.primaryID, target);
+    assert.equal(await fs.promises.readFile(path.join(target, "b.txt"), "utf8"), "deleted");
+});
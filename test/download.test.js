@@ -0,0 +1,202 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const stream = require("stream");
+
+const DisFile = require("../src/classes/DisFile");
+const MemoryTransport = require("../src/transport/memory-transport");
+const { IntegrityError, DecryptionError, NotFoundError, ValidationError } = require("../src/errors");
+
+// Uploads a buffer through a new client storing its messages in memory
+async function uploadBuffer(data, fileName, options = {}) {
+    const transport = options.transport || new MemoryTransport();
+    const disFile = new DisFile(options.webhooks || "memory://one", { transport });
+    const fileDetails = await disFile.uploadFileStream(stream.Readable.from([data]), fileName, options);
+    return { disFile, transport, primaryID: fileDetails.primaryID };
+}
+
+test("downloads a file as a buffer and as a stream", async () => {
+    const data = crypto.randomBytes(100000);
+    const { disFile, primaryID } = await uploadBuffer(data, "data.bin");
+
+    assert.ok((await disFile.downloadFileBuffer(primaryID)).equals(data));
+
+    const pieces = [];
+    for await (const piece of disFile.downloadFileStream(primaryID)) pieces.push(piece);
+    assert.ok(Buffer.concat(pieces).equals(data));
+});
+
+test("saves a file to a path, leaving it as it was if the download fails", async t => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dis-file-test-"));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, "keep.txt");
+    await fs.promises.writeFile(filePath, "important");
+
+    const data = crypto.randomBytes(3000);
+    const { disFile, primaryID } = await uploadBuffer(data, "data.bin");
+
+    await assert.rejects(disFile.downloadFile("123456789", filePath), NotFoundError);
+    assert.equal(await fs.promises.readFile(filePath, "utf8"), "important");
+
+    await disFile.downloadFile(primaryID, filePath);
+    assert.ok((await fs.promises.readFile(filePath)).equals(data));
+});
+
+test("destroys a given Writable if the download fails before any data", async () => {
+    const { disFile } = await uploadBuffer(crypto.randomBytes(100), "data.bin");
+    const destination = new stream.PassThrough();
+    destination.on("error", () => { });
+
+    await assert.rejects(disFile.downloadFile("123456789", destination), NotFoundError);
+    assert.ok(destination.destroyed);
+    assert.ok(destination.errored instanceof NotFoundError);
+});
+
+test("reads byte ranges", async () => {
+    const data = crypto.randomBytes(5000);
+    const { disFile, primaryID } = await uploadBuffer(data, "data.bin");
+
+    assert.ok((await disFile.readRange(primaryID, 100, 199)).equals(data.subarray(100, 200)));
+    assert.ok((await disFile.readRange(primaryID, 4000)).equals(data.subarray(4000)));
+    await assert.rejects(disFile.readRange(primaryID, 10, 5), ValidationError);
+});
+
+test("gets the file info from the manifest", async () => {
+    const { disFile, primaryID } = await uploadBuffer(Buffer.from("hello world"), "hello.txt");
+    const info = await disFile.getFileInfo(primaryID);
+
+    assert.equal(info.fileName, "hello.txt");
+    assert.equal(info.size, 11);
+    assert.equal(info.mimeType, "text/plain");
+    assert.equal(info.chunkCount, 1);
+    assert.ok(info.uploadedAt instanceof Date);
+});
+
+test("decrypts encrypted and decompresses compressed files", async () => {
+    const data = Buffer.from("compressible ".repeat(10000));
+    const { disFile, primaryID } = await uploadBuffer(data, "log.txt", { encryptionKey: "passphrase", compression: "gzip" });
+
+    const info = await disFile.getFileInfo(primaryID);
+    assert.equal(info.compression, "gzip");
+    assert.ok(info.storedSize < data.length);
+
+    assert.ok((await disFile.downloadFileBuffer(primaryID, { encryptionKey: "passphrase" })).equals(data));
+    await assert.rejects(disFile.downloadFileBuffer(primaryID, { encryptionKey: "wrong" }), DecryptionError);
+});
+
+test("rejects a passphrase for a file encrypted with a raw key and the other way round", async () => {
+    const key = crypto.randomBytes(32);
+    const data = crypto.randomBytes(1000);
+    const { disFile, primaryID } = await uploadBuffer(data, "data.bin", { encryptionKey: key });
+    assert.ok((await disFile.downloadFileBuffer(primaryID, { encryptionKey: key })).equals(data));
+    await assert.rejects(disFile.downloadFileBuffer(primaryID, { encryptionKey: "passphrase" }), DecryptionError);
+
+    const protectedFile = await uploadBuffer(data, "data.bin", { encryptionKey: "passphrase" });
+    await assert.rejects(protectedFile.disFile.downloadFileBuffer(protectedFile.primaryID, { encryptionKey: key }), DecryptionError);
+});
+
+test("keys the checksum of encrypted files and still verifies and resumes them", async t => {
+    const data = crypto.randomBytes(3000);
+    const { disFile, primaryID } = await uploadBuffer(data, "data.bin", { encryptionKey: "passphrase", chunkSize: 1000 });
+
+    const info = await disFile.getFileInfo(primaryID);
+    assert.notEqual(info.sha256, crypto.createHash("sha256").update(data).digest("hex"));
+    assert.ok((await disFile.downloadFileBuffer(primaryID, { encryptionKey: "passphrase" })).equals(data));
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dis-file-test-"));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, "data.bin");
+    await fs.promises.writeFile(filePath, data.subarray(0, 1500));
+    await disFile.downloadFile(primaryID, filePath, { encryptionKey: "passphrase", resume: true });
+    assert.ok((await fs.promises.readFile(filePath)).equals(data));
+});
+
+test("downloads files uploaded with legacy manifests", async () => {
+    const transport = new MemoryTransport();
+    const chunk = await transport.postAttachment("memory://one", Buffer.from("legacy data"), "000_old.txt");
+    const manifest = await transport.postMessage("memory://one", "```" + JSON.stringify({ filename: "old.txt", ids: [chunk.id] }) + "```");
+
+    const disFile = new DisFile("memory://one", { transport });
+    assert.equal((await disFile.downloadFileBuffer(manifest.id)).toString(), "legacy data");
+});
+
+test("verifies legacy manifests recording only the checksum of the whole file", async () => {
+    const transport = new MemoryTransport();
+    const data = Buffer.from("legacy data");
+    const chunk = await transport.postAttachment("memory://one", data, "000_old.txt");
+    const legacy = { filename: "old.txt", ids: [chunk.id], size: data.length, sha256: crypto.createHash("sha256").update(data).digest("hex") };
+    const manifest = await transport.postMessage("memory://one", "```" + JSON.stringify(legacy) + "```");
+
+    const disFile = new DisFile("memory://one", { transport });
+    assert.equal((await disFile.downloadFileBuffer(manifest.id)).toString(), "legacy data");
+    assert.equal((await disFile.verify(manifest.id)).verified, true);
+
+    const corrupted = await transport.postMessage("memory://one", "```" + JSON.stringify({ ...legacy, sha256: "0".repeat(64) }) + "```");
+    await assert.rejects(disFile.downloadFileBuffer(corrupted.id), err => err instanceof IntegrityError && err.chunkIndex === null);
+});
+
+test("rejects corrupted chunks with an IntegrityError", async () => {
+    // A transport flipping the first byte of every attachment
+    class CorruptingTransport extends MemoryTransport {
+        async fetchAttachment(url, options) {
+            const pieces = [];
+            for await (const piece of await super.fetchAttachment(url, options)) pieces.push(piece);
+            const data = Buffer.concat(pieces);
+            if (!url.endsWith("manifest.json")) data[0] ^= 0xff;
+            return stream.Readable.from([data]);
+        }
+    }
+
+    const { disFile, primaryID } = await uploadBuffer(crypto.randomBytes(1000), "data.bin", { transport: new CorruptingTransport() });
+    await assert.rejects(disFile.verify(primaryID), err => err instanceof IntegrityError && err.chunkIndex === 0);
+});
+
+test("fetches a chunk again when its data stops arriving midway", async () => {
+    // A transport whose first fetch of every attachment breaks off after half of the data
+    class FlakyTransport extends MemoryTransport {
+        failed = new Set();
+        async fetchAttachment(url, options) {
+            const body = await super.fetchAttachment(url, options);
+            if (url.endsWith("manifest.json") || this.failed.has(url)) return body;
+            this.failed.add(url);
+
+            const pieces = [];
+            for await (const piece of body) pieces.push(piece);
+            const data = Buffer.concat(pieces);
+            return stream.Readable.from((async function* () {
+                yield data.subarray(0, data.length / 2);
+                throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+            })());
+        }
+    }
+
+    const data = crypto.randomBytes(2000);
+    const { disFile, primaryID } = await uploadBuffer(data, "data.bin", { transport: new FlakyTransport() });
+
+    let bytes = 0;
+    const buffer = await disFile.downloadFileBuffer(primaryID, { onProgress: progress => bytes = progress.bytes });
+    assert.ok(buffer.equals(data));
+    assert.equal(bytes, data.length);
+});
+
+test("reads chunks through the webhook that sent them", async () => {
+    const transport = new MemoryTransport();
+    const data = crypto.randomBytes(3000);
+    const { primaryID } = await uploadBuffer(data, "data.bin", { transport, webhooks: ["memory://one", "memory://two"] });
+
+    // Each webhook only sees its own messages
+    const both = new DisFile(["memory://two", "memory://one"], { transport });
+    assert.ok((await both.downloadFileBuffer(primaryID)).equals(data));
+});
+
+test("deletes every message of a file", async () => {
+    const { disFile, transport, primaryID } = await uploadBuffer(crypto.randomBytes(1000), "data.bin");
+
+    const result = await disFile.deleteFile(primaryID);
+    assert.equal(result.deletedChunks, 1);
+    assert.equal(transport.size, 0);
+    await assert.rejects(disFile.downloadFileBuffer(primaryID), NotFoundError);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createManifest, createDirectoryManifest, parseManifest, locateManifest, MANIFEST_VERSION, MANIFEST_FILENAME } = require("../src/manifest");
+const { ManifestParseError } = require("../src/errors");
+
+const chunks = [
+    { id: "11", webhook: "1", size: 4, sha256: "aa" },
+    { id: "12", webhook: "2", size: 2, sha256: "bb" }
+];
+
+test("createManifest describes the file and indexes its chunks", () => {
+    const manifest = createManifest({ fileName: "photo.jpg", size: 6, sha256: "cc", chunkSize: 4, chunks: chunks });
+
+    assert.equal(manifest.version, MANIFEST_VERSION);
+    assert.equal(manifest.type, "file");
+    assert.equal(manifest.filename, "photo.jpg");
+    assert.equal(manifest.mimeType, "image/jpeg");
+    assert.equal(manifest.encryption, null);
+    assert.equal(manifest.compression, null);
+    assert.deepEqual(manifest.chunks, [{ index: 0, ...chunks[0] }, { index: 1, ...chunks[1] }]);
+});
+
+test("parseManifest reads the JSON of a current manifest", () => {
+    const manifest = createManifest({ fileName: "a.txt", size: 6, sha256: "cc", chunkSize: 4, chunks: chunks });
+    assert.deepEqual(parseManifest(JSON.stringify(manifest)), manifest);
+});
+
+test("parseManifest converts legacy manifests", () => {
+    const manifest = parseManifest(JSON.stringify({ filename: "old.txt", ids: ["11", "12"] }));
+
+    assert.equal(manifest.version, 1);
+    assert.equal(manifest.filename, "old.txt");
+    assert.equal(manifest.size, null);
+    assert.equal(manifest.chunkSize, null);
+    assert.deepEqual(manifest.chunks.map(chunk => chunk.id), ["11", "12"]);
+    assert.deepEqual(manifest.chunks.map(chunk => chunk.webhook), [null, null]);
+});
+
+test("parseManifest rejects invalid manifests", () => {
+    assert.throws(() => parseManifest("{not json"), ManifestParseError);
+    assert.throws(() => parseManifest("42"), ManifestParseError);
+    assert.throws(() => parseManifest(JSON.stringify({ filename: "a.txt" })), ManifestParseError);
+    assert.throws(() => parseManifest(JSON.stringify({ version: MANIFEST_VERSION + 1, chunks: [] })), /not supported/);
+    assert.throws(() => parseManifest(JSON.stringify({ version: MANIFEST_VERSION, type: "directory" })), ManifestParseError);
+});
+
+test("directory manifests list their files", () => {
+    const file = { path: "src/a.js", primaryID: "20", size: 3, sha256: "dd", mode: 0o644, mtime: "2024-01-01T00:00:00.000Z" };
+    const manifest = createDirectoryManifest({ name: "project", directories: [{ path: "src", mode: 0o755 }], files: [file] });
+
+    assert.equal(manifest.type, "directory");
+    assert.deepEqual(parseManifest(JSON.stringify(manifest)).files, [file]);
+});
+
+test("locateManifest finds the attachment or the legacy content", () => {
+    const url = "https://cdn.example/manifest.json";
+    assert.deepEqual(locateManifest({ id: "1", attachments: [{ filename: MANIFEST_FILENAME, url: url }] }), { url: url });
+    assert.deepEqual(locateManifest({ id: "1", content: "```{\"ids\":[]}```", attachments: [] }), { json: "{\"ids\":[]}" });
+    assert.throws(() => locateManifest({ id: "1", content: "hello", attachments: [] }), ManifestParseError);
+});
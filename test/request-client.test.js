@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { RequestClient } = require("../src/http/request-client");
+const { RequestError, RateLimitError, AbortError } = require("../src/errors");
+
+// Starts a local server answering with the given handler, or every request with the given headers
+async function startServer(t, handler) {
+    const handle = typeof handler === "function" ? handler : (req, res) => {
+        res.writeHead(200, { "Content-Type": "text/plain", ...handler });
+        res.end(req.url);
+    };
+    const server = http.createServer(handle);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Answers the next requests with the given statuses and bodies in turn, then with 200
+function respondInTurn(responses) {
+    const received = [];
+    const handler = (req, res) => {
+        received.push(req.url);
+        const { status = 200, headers = {}, body = req.url } = responses.shift() || {};
+        if (status === "reset") return req.socket.destroy();
+        res.writeHead(status, { "Content-Type": typeof body === "string" ? "text/plain" : "application/json", ...headers });
+        res.end(typeof body === "string" ? body : JSON.stringify(body));
+    };
+    return { handler, received };
+}
+
+test("forgets the buckets of routes without rate limits once they are idle", async t => {
+    const baseURL = await startServer(t, {});
+    const client = new RequestClient();
+
+    const responses = await Promise.all([1, 2, 3].map(i => client.get(`${baseURL}/attachments/${i}/file.bin`)));
+    assert.deepEqual(responses.map(response => response.data), ["/attachments/1/file.bin", "/attachments/2/file.bin", "/attachments/3/file.bin"]);
+    assert.equal(client.buckets.size, 0);
+});
+
+test("keeps the buckets of rate limited routes until they reset", async t => {
+    const baseURL = await startServer(t, { "X-RateLimit-Remaining": "4", "X-RateLimit-Reset-After": "60" });
+    const client = new RequestClient();
+
+    await client.get(`${baseURL}/webhooks/1/token`);
+    assert.equal(client.buckets.size, 1);
+    assert.equal([...client.buckets.values()][0].remaining, 4);
+});
+
+test("waits out a 429 for the retry_after of the body", async t => {
+    const { handler, received } = respondInTurn([{ status: 429, body: { retry_after: 0.2, global: false } }]);
+    const baseURL = await startServer(t, handler);
+    const client = new RequestClient();
+
+    const start = Date.now();
+    const response = await client.get(`${baseURL}/webhooks/1/token`);
+    assert.equal(response.status, 200);
+    assert.equal(received.length, 2);
+    assert.ok(Date.now() - start >= 190);
+});
+
+test("waits out a 429 for the Retry-After header", async t => {
+    const { handler, received } = respondInTurn([{ status: 429, headers: { "Retry-After": "0.2" }, body: "" }]);
+    const baseURL = await startServer(t, handler);
+    const client = new RequestClient();
+
+    const start = Date.now();
+    await client.get(`${baseURL}/webhooks/1/token`);
+    assert.equal(received.length, 2);
+    assert.ok(Date.now() - start >= 190);
+});
+
+test("holds every bucket during a global rate limit", async t => {
+    const { handler, received } = respondInTurn([{ status: 429, headers: { "X-RateLimit-Global": "true" }, body: { retry_after: 0.3, global: true } }]);
+    const baseURL = await startServer(t, handler);
+    const client = new RequestClient();
+
+    const start = Date.now();
+    const limited = client.get(`${baseURL}/webhooks/1/token`);
+    // Sent once the first response arrived, through another bucket
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.ok(client.globalResetAt > Date.now());
+    await client.get(`${baseURL}/webhooks/2/token`);
+    assert.ok(Date.now() - start >= 290);
+    await limited;
+    assert.equal(received.length, 3);
+});
+
+test("rejects with a RateLimitError when the wait is longer than maxRateLimitWait", async t => {
+    const { handler, received } = respondInTurn([{ status: 429, body: { retry_after: 120, global: false } }]);
+    const baseURL = await startServer(t, handler);
+    const client = new RequestClient({ maxRateLimitWait: 1000 });
+
+    await assert.rejects(client.get(`${baseURL}/webhooks/1/token`), err => err instanceof RateLimitError && err.retryAfter === 120000 && !err.global);
+    assert.equal(received.length, 1);
+});
+
+test("retries 5xx responses and network errors with backoff", async t => {
+    const { handler, received } = respondInTurn([{ status: 502, body: "" }, { status: "reset" }, { status: 500, body: "" }]);
+    const baseURL = await startServer(t, handler);
+    const client = new RequestClient({ baseDelay: 50 });
+
+    const start = Date.now();
+    const response = await client.get(`${baseURL}/webhooks/1/token`);
+    assert.equal(response.status, 200);
+    assert.equal(received.length, 4);
+    // 50, 100 and 200 ms between the attempts
+    assert.ok(Date.now() - start >= 340);
+});
+
+test("gives up after maxRetries with a RequestError", async t => {
+    const { handler, received } = respondInTurn(Array.from({ length: 5 }, () => ({ status: 503, body: "" })));
+    const baseURL = await startServer(t, handler);
+    const client = new RequestClient({ maxRetries: 2, baseDelay: 10 });
+
+    await assert.rejects(client.get(`${baseURL}/webhooks/1/token`), err => err instanceof RequestError && err.status === 503);
+    assert.equal(received.length, 3);
+});
+
+test("cancels a request still waiting in the queue", async t => {
+    // The first response is held back, so the second request waits for the limit it teaches
+    const received = [];
+    const baseURL = await startServer(t, (req, res) => {
+        received.push(req.url);
+        setTimeout(() => {
+            res.writeHead(200, { "X-RateLimit-Remaining": "4", "X-RateLimit-Reset-After": "1" });
+            res.end();
+        }, 200);
+    });
+    const client = new RequestClient();
+
+    const controller = new AbortController();
+    const first = client.get(`${baseURL}/webhooks/1/token`);
+    const second = client.get(`${baseURL}/webhooks/1/token`, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(second, AbortError);
+    await first;
+    assert.equal(received.length, 1);
+    assert.equal([...client.buckets.values()][0].queue.length, 0);
+});
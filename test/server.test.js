@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { createServer } = require("../src/server/server");
+const MemoryTransport = require("../src/transport/memory-transport");
+
+// Counts the manifests fetched
+class CountingTransport extends MemoryTransport {
+    manifestsFetched = 0;
+    async fetchAttachment(url, options) {
+        if (url.endsWith("manifest.json")) this.manifestsFetched++;
+        return super.fetchAttachment(url, options);
+    }
+}
+
+// Starts a gateway storing its files in memory and closes it once the test ends
+async function startServer(t, transport = new MemoryTransport()) {
+    const server = createServer({ webhookURL: "memory://one", transport: transport });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test("uploads and serves files", async t => {
+    const base = await startServer(t);
+    const data = crypto.randomBytes(3000);
+
+    const uploaded = await fetch(`${base}/files/data.bin`, { method: "PUT", body: data });
+    assert.equal(uploaded.status, 201);
+    const { primaryID } = await uploaded.json();
+
+    const res = await fetch(`${base}/files/${primaryID}`);
+    assert.equal(res.status, 200);
+    assert.ok(Buffer.from(await res.arrayBuffer()).equals(data));
+
+    const range = await fetch(`${base}/files/${primaryID}`, { headers: { Range: "bytes=10-19" } });
+    assert.equal(range.status, 206);
+    assert.ok(Buffer.from(await range.arrayBuffer()).equals(data.subarray(10, 20)));
+});
+
+test("answers malformed paths with 400 and keeps serving", async t => {
+    const base = await startServer(t);
+
+    const res = await fetch(`${base}/files/%E0%A4%A`);
+    assert.equal(res.status, 400);
+
+    const missing = await fetch(`${base}/files/123456789`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).code, "NOT_FOUND");
+});
+
+test("fetches the manifest once per request", async t => {
+    const transport = new CountingTransport();
+    const base = await startServer(t, transport);
+    const data = crypto.randomBytes(3000);
+    const { primaryID } = await (await fetch(`${base}/files/data.bin`, { method: "PUT", body: data })).json();
+
+    const res = await fetch(`${base}/files/${primaryID}`);
+    assert.ok(Buffer.from(await res.arrayBuffer()).equals(data));
+    assert.equal(transport.manifestsFetched, 1);
+
+    const range = await fetch(`${base}/files/${primaryID}`, { headers: { Range: "bytes=-5" } });
+    assert.ok(Buffer.from(await range.arrayBuffer()).equals(data.subarray(-5)));
+    assert.equal(transport.manifestsFetched, 2);
+});
+
+test("uploads files through POST ?name= and describes them through HEAD", async t => {
+    const base = await startServer(t);
+
+    const missing = await fetch(`${base}/files`, { method: "POST", body: "data" });
+    assert.equal(missing.status, 400);
+
+    const uploaded = await fetch(`${base}/files?name=${encodeURIComponent("notes é.txt")}`, { method: "POST", body: "some notes" });
+    assert.equal(uploaded.status, 201);
+    const { primaryID, fileName } = await uploaded.json();
+    assert.equal(fileName, "notes é.txt");
+    assert.equal(uploaded.headers.get("location"), `/files/${primaryID}`);
+
+    const res = await fetch(`${base}/files/${primaryID}`, { method: "HEAD" });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-length"), "10");
+    assert.equal(res.headers.get("accept-ranges"), "bytes");
+    assert.equal(res.headers.get("content-disposition"), `attachment; filename="notes _.txt"; filename*=UTF-8''notes%20%C3%A9.txt`);
+    assert.equal(await res.text(), "");
+
+    const range = await fetch(`${base}/files/${primaryID}`, { method: "HEAD", headers: { Range: "bytes=5-" } });
+    assert.equal(range.status, 206);
+    assert.equal(range.headers.get("content-range"), "bytes 5-9/10");
+});
+
+test("answers ranges past the end of the file with 416", async t => {
+    const base = await startServer(t);
+    const { primaryID } = await (await fetch(`${base}/files/data.txt`, { method: "PUT", body: "0123456789" })).json();
+
+    const res = await fetch(`${base}/files/${primaryID}`, { headers: { Range: "bytes=10-20" } });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get("content-range"), "bytes */10");
+
+    // Ranges HTTP does not define are ignored, the whole file is sent
+    const ignored = await fetch(`${base}/files/${primaryID}`, { headers: { Range: "bytes=0-1,4-5" } });
+    assert.equal(ignored.status, 200);
+    assert.equal(await ignored.text(), "0123456789");
+});
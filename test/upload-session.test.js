@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const stream = require("stream");
+
+const DisFile = require("../src/classes/DisFile");
+const MemoryTransport = require("../src/transport/memory-transport");
+const FileCheckpointStore = require("../src/upload/checkpoint-store");
+const { ChunkUploadError, NotFoundError, ValidationError } = require("../src/errors");
+
+// Creates a temporary directory removed after the test
+async function createTempDir(t) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dis-file-test-"));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A checkpoint store keeping the checkpoints in memory
+class MemoryCheckpointStore {
+    checkpoints = new Map();
+    async get(sessionId) {
+        return this.checkpoints.has(sessionId) ? structuredClone(this.checkpoints.get(sessionId)) : null;
+    }
+    async set(sessionId, checkpoint) {
+        this.checkpoints.set(sessionId, structuredClone(checkpoint));
+    }
+    async delete(sessionId) {
+        this.checkpoints.delete(sessionId);
+    }
+}
+
+// A transport failing to post attachments after the given number of them
+class FailingTransport extends MemoryTransport {
+    posted = 0;
+    failAfter = Infinity;
+    async postAttachment(webhookURL, data, fileName, options) {
+        if (fileName !== "manifest.json" && this.posted >= this.failAfter) throw new Error("Service unavailable");
+        if (fileName !== "manifest.json") this.posted++;
+        return super.postAttachment(webhookURL, data, fileName, options);
+    }
+}
+
+test("uploads a file through an upload session and deletes its checkpoint", async t => {
+    const filePath = path.join(await createTempDir(t), "data.bin");
+    const data = crypto.randomBytes(3500);
+    await fs.promises.writeFile(filePath, data);
+
+    const checkpointStore = new MemoryCheckpointStore();
+    const disFile = new DisFile("memory://one", { transport: new MemoryTransport() });
+    const session = await disFile.createUploadSession(filePath, "data.bin", { chunkSize: 1000, checkpointStore });
+    assert.ok(checkpointStore.checkpoints.has(session.id));
+
+    const fileDetails = await session.start();
+    assert.equal(fileDetails.fileChunkIDs.length, 4);
+    assert.equal(checkpointStore.checkpoints.size, 0);
+    assert.ok((await disFile.downloadFileBuffer(fileDetails.primaryID)).equals(data));
+});
+
+test("resumes an interrupted upload session without sending the recorded chunks again", async t => {
+    const filePath = path.join(await createTempDir(t), "data.bin");
+    const data = crypto.randomBytes(5000);
+    await fs.promises.writeFile(filePath, data);
+
+    const transport = new FailingTransport();
+    transport.failAfter = 2;
+    const checkpointStore = new MemoryCheckpointStore();
+    const disFile = new DisFile("memory://one", { transport, chunkSize: 1000, maxPendingChunks: 1 });
+
+    const session = await disFile.createUploadSession(filePath, "data.bin", { checkpointStore, encryptionKey: "passphrase" });
+    await assert.rejects(session.start(), ChunkUploadError);
+    assert.equal((await checkpointStore.get(session.id)).chunks.filter(Boolean).length, 2);
+
+    transport.failAfter = Infinity;
+    const fileDetails = await disFile.resumeUpload(session.id, { checkpointStore, encryptionKey: "passphrase" });
+    assert.equal(transport.posted, 5);
+    assert.ok((await disFile.downloadFileBuffer(fileDetails.primaryID, { encryptionKey: "passphrase" })).equals(data));
+
+    await assert.rejects(disFile.resumeUpload(session.id, { checkpointStore }), NotFoundError);
+});
+
+test("fails with a CHECKPOINT_ERROR when the checkpoint cannot be saved", async t => {
+    const filePath = path.join(await createTempDir(t), "data.bin");
+    await fs.promises.writeFile(filePath, crypto.randomBytes(2000));
+
+    const checkpointStore = new MemoryCheckpointStore();
+    const disFile = new DisFile("memory://one", { transport: new MemoryTransport(), chunkSize: 1000 });
+    const session = await disFile.createUploadSession(filePath, "data.bin", { checkpointStore });
+
+    checkpointStore.set = async () => { throw new Error("disk full"); };
+    await assert.rejects(session.start(), err => err.code === "CHECKPOINT_ERROR" && !(err instanceof ChunkUploadError) && err.cause.message === "disk full");
+});
+
+test("refuses to resume a session whose file changed", async t => {
+    const filePath = path.join(await createTempDir(t), "data.bin");
+    await fs.promises.writeFile(filePath, crypto.randomBytes(2000));
+
+    const checkpointStore = new MemoryCheckpointStore();
+    const disFile = new DisFile("memory://one", { transport: new MemoryTransport(), chunkSize: 1000 });
+    const session = await disFile.createUploadSession(filePath, "data.bin", { checkpointStore });
+
+    await fs.promises.appendFile(filePath, "more");
+    await assert.rejects(disFile.resumeUpload(session.id, { checkpointStore }), ValidationError);
+});
+
+test("FileCheckpointStore writes, reads and deletes checkpoints", async t => {
+    const store = new FileCheckpointStore(await createTempDir(t));
+
+    assert.equal(await store.get("session"), null);
+    await store.set("session", { chunks: [1] });
+    await store.set("session", { chunks: [1, 2] });
+    assert.deepEqual(await store.get("session"), { chunks: [1, 2] });
+
+    await store.delete("session");
+    assert.equal(await store.get("session"), null);
+    await assert.rejects(store.get("../escape"), ValidationError);
+});
+
+test("resumes a download into a partially written file", async t => {
+    // Counts the chunks fetched
+    class CountingTransport extends MemoryTransport {
+        fetched = 0;
+        async fetchAttachment(url, options) {
+            if (!url.endsWith("manifest.json")) this.fetched++;
+            return super.fetchAttachment(url, options);
+        }
+    }
+
+    const filePath = path.join(await createTempDir(t), "data.bin");
+    const data = crypto.randomBytes(4500);
+    const transport = new CountingTransport();
+    const disFile = new DisFile("memory://one", { transport, chunkSize: 1000 });
+    const { primaryID } = await disFile.uploadFileStream(stream.Readable.from([data]), "data.bin");
+
+    // Two whole chunks and part of the third were written
+    await fs.promises.writeFile(filePath, data.subarray(0, 2500));
+    await disFile.downloadFile(primaryID, filePath, { resume: true });
+    assert.equal(transport.fetched, 3);
+    assert.ok((await fs.promises.readFile(filePath)).equals(data));
+
+    // A corrupted kept part fails the whole-file check
+    await fs.promises.writeFile(filePath, Buffer.concat([Buffer.alloc(1000), data.subarray(1000, 2000)]));
+    await assert.rejects(disFile.downloadFile(primaryID, filePath, { resume: true }), { code: "INTEGRITY_ERROR" });
+});